@@ -0,0 +1,246 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { startMockHiringSite } from '../mock/mockHiringSite.js';
+import { createSession, getSession, deleteSession, requestJobApply, sessionEvents } from '../src/sessionManager.js';
+import { listArtifacts, getArtifact } from '../src/artifacts.js';
+import { loadConfig, getConfig } from '../src/config.js';
+
+let site;
+let userDataDir;
+
+before(async () => {
+    site = await startMockHiringSite();
+    userDataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-bot-e2e-'));
+    // Keep job history out of the real store so applied jobs aren't skipped on the next run
+    process.env.JOB_STORE_PATH = path.join(userDataDir, 'jobs.json');
+    process.env.LOG_FILE = path.join(userDataDir, 'monitor.log');
+    process.env.PROFILE_STORE_PATH = path.join(userDataDir, 'profile-health.json');
+    // Scenarios start from the defaults, not whatever config.json the developer has
+    process.env.CONFIG_FILE = path.join(userDataDir, 'config.json');
+    // Without candidate answers applications stop after the apply click, tests that walk the form add them
+    process.env.CANDIDATE_FILE = path.join(userDataDir, 'no-candidate.json');
+    await fs.writeFile(path.join(userDataDir, 'candidate.json'), JSON.stringify({
+        answers: [
+            { match: 'first name', answer: 'Jane' },
+            { match: 'phone', answer: '555-0100' },
+            { match: '18 years', answer: 'Yes' },
+            { match: 'authorized to work', answer: 'Yes' }
+        ]
+    }));
+    await loadConfig();
+});
+
+after(async () => {
+    await site.close();
+    await fs.rm(userDataDir, { recursive: true, force: true });
+});
+
+// Run the real monitor loop headless against one mock scenario
+const startScenario = (scenario, overrides = {}) => createSession({
+    ...getConfig(),
+    AMAZON_JOBS_URL: site.scenarioUrl(scenario),
+    TARGET_JOBS: ['Delivery Station Warehouse Associate'],
+    USER_DATA_DIR: userDataDir,
+    BOT_PROFILE_DIR: path.join(userDataDir, 'profiles'),
+    ARTIFACTS_DIR: path.join(userDataDir, 'artifacts'),
+    CHROME_PROFILES: ['Default'],
+    CHROME_PATH: process.env.CHROME_PATH || null,
+    HEADLESS: true,
+    REFRESH_INTERVAL: 1000,
+    DELAY_SCALE: 0.05,
+    ...overrides
+});
+
+// Poll a session until the predicate holds or the timeout runs out
+const waitForSession = async (id, predicate, timeout = 60000) => {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const session = getSession(id);
+        if (predicate(session)) {
+            return session;
+        }
+        if (session.status === 'failed') {
+            throw new Error(`Session failed: ${session.error}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error(`Timed out waiting for session ${id}: ${JSON.stringify(getSession(id))}`);
+};
+
+test('applies to a matching job after picking a shift', async () => {
+    const scraped = [];
+    const onJobs = (event) => scraped.push(event);
+    sessionEvents.on('jobsScraped', onJobs);
+    
+    const { id } = startScenario('default');
+    try {
+        const session = await waitForSession(id, s => s.status === 'applied');
+        assert.equal(session.lastResult.totalJobs, 2);
+        assert.equal(session.lastResult.matchingJobs, 1);
+        assert.equal(session.lastResult.selectors.shiftOption.selector, '.hvh-careers-emotion-1ewhhfh');
+        assert.ok(site.visits.includes('/default/apply/JOB-US-0000001'));
+
+        // Headless sessions close the browser and leave artifacts behind instead
+        const attempt = JSON.parse(await fs.readFile(path.join(userDataDir, 'artifacts', session.lastResult.artifacts, 'attempt.json'), 'utf8'));
+        assert.equal(attempt.outcome, 'applied');
+        assert.deepEqual(attempt.steps.map(step => step.name), ['search-results', 'job-details', 'shift-selected', 'apply-clicked']);
+        assert.ok(attempt.urls.some(url => url.endsWith('/default/apply/JOB-US-0000001')));
+        
+        const [first, second] = scraped.find(event => event.sessionId === id).jobs;
+        assert.deepEqual(
+            { payRate: first.payRate, location: first.location, distance: first.distance, jobType: first.jobType, shiftCount: first.shiftCount, isNew: first.isNew },
+            { payRate: 19.5, location: 'Seattle, WA', distance: 5, jobType: 'Full Time, Part Time', shiftCount: 2, isNew: true }
+        );
+        assert.equal(second.payRate, null);
+        assert.equal(second.location, null);
+    } finally {
+        sessionEvents.off('jobsScraped', onJobs);
+        deleteSession(id);
+    }
+});
+
+test('skips a job when no shift meets the shift preferences', async () => {
+    const { id } = startScenario('overnightShifts', { SHIFT_PREFERENCES: { noOvernight: true } });
+    try {
+        const session = await waitForSession(id, s => s.cycleCount >= 2 && s.lastResult?.matchingJobs === 1);
+        assert.equal(session.status, 'running');
+        assert.equal(session.lastResult.applied, false);
+        assert.ok(!site.visits.some(visit => visit.startsWith('/overnightShifts/apply/')));
+    } finally {
+        deleteSession(id);
+    }
+});
+
+test('reports the job and shift a dry run would apply to without applying', async () => {
+    const appliedBefore = site.visits.filter(visit => visit.startsWith('/default/apply/')).length;
+    const { id } = startScenario('default', { DRY_RUN: true });
+    try {
+        const session = await waitForSession(id, s => s.lastResult?.observed);
+        assert.equal(session.status, 'running');
+        assert.equal(session.lastResult.applied, false);
+        assert.equal(session.lastResult.observed.job.id, 'JOB-US-0000001');
+        assert.ok(session.lastResult.observed.shift);
+        assert.ok(session.lastResult.observed.applyButton);
+        assert.equal(session.lastAttempt.outcome, 'observed');
+        assert.equal(site.visits.filter(visit => visit.startsWith('/default/apply/')).length, appliedBefore);
+    } finally {
+        deleteSession(id);
+    }
+});
+
+test('applies to a job picked on the job board even though it does not match', async () => {
+    const { id } = startScenario('overnightShifts', { TARGET_JOBS: ['Forklift Operator'] });
+    try {
+        const listed = await waitForSession(id, s => s.status === 'running' && s.jobs.length > 0);
+        assert.equal(listed.jobs[0].matched, false);
+        assert.equal(requestJobApply(id, listed.jobs[0].id).queued, true);
+
+        const session = await waitForSession(id, s => s.status === 'applied');
+        assert.equal(session.lastResult.matchingJobs, 0);
+        assert.ok(site.visits.includes('/overnightShifts/apply/JOB-US-0000006'));
+    } finally {
+        deleteSession(id);
+    }
+});
+
+test('reports selector drift when no jobs are listed', async () => {
+    const { id } = startScenario('noJobs');
+    try {
+        const session = await waitForSession(id, s => s.lastResult !== null);
+        assert.ok(session.lastResult.error);
+        assert.deepEqual(session.selectorDrift.map(entry => entry.chain), ['jobCard']);
+    } finally {
+        deleteSession(id);
+    }
+});
+
+test('applies directly when a matching job has no shifts', async () => {
+    const { id } = startScenario('matchNoShifts');
+    try {
+        const session = await waitForSession(id, s => s.status === 'applied');
+        assert.equal(session.lastResult.selectors.shiftDropdown.selector, null);
+        assert.ok(site.visits.includes('/matchNoShifts/apply/JOB-US-0000003'));
+    } finally {
+        deleteSession(id);
+    }
+});
+
+test('keeps monitoring when the apply button is missing', async () => {
+    const { id } = startScenario('missingApplyButton');
+    try {
+        const session = await waitForSession(id, s => s.cycleCount >= 2 && s.lastResult?.matchingJobs === 1);
+        assert.equal(session.status, 'running');
+        assert.equal(session.lastResult.applied, false);
+        assert.ok(!site.visits.some(visit => visit.startsWith('/missingApplyButton/apply/')));
+
+        // The failed attempt ends with a capture of the page it gave up on
+        const { artifacts } = await listArtifacts(path.join(userDataDir, 'artifacts'), { sessionId: id, outcome: 'failed' });
+        assert.ok(artifacts.length > 0);
+        assert.equal(artifacts[0].reason, 'apply button not found');
+        assert.equal(artifacts[0].failureReason, 'applyButtonNotFound');
+        assert.match(artifacts[0].thumbnail, /-failed\.png$/);
+    } finally {
+        deleteSession(id);
+    }
+});
+
+test('monitors two links at once, each in a browser of its own', async () => {
+    const ids = [startScenario('missingApplyButton').id, startScenario('overnightShifts', { SHIFT_PREFERENCES: { noOvernight: true } }).id];
+    try {
+        const sessions = await Promise.all(ids.map(id => waitForSession(id, s => s.cycleCount >= 2 && s.lastResult?.matchingJobs === 1)));
+        sessions.forEach(session => {
+            assert.equal(session.status, 'running');
+            assert.equal(session.restartCount, 0);
+            assert.equal(session.lastBrowserFailure, null);
+        });
+    } finally {
+        ids.forEach(id => deleteSession(id));
+    }
+});
+
+test('waits out a slow job detail page', async () => {
+    const { id } = startScenario('slowNavigation');
+    try {
+        await waitForSession(id, s => s.status === 'applied');
+        assert.ok(site.visits.includes('/slowNavigation/apply/JOB-US-0000005'));
+    } finally {
+        deleteSession(id);
+    }
+});
+
+test('completes a multi-step application with the candidate answers', async () => {
+    const { id } = startScenario('applicationFlow', { CANDIDATE_FILE: path.join(userDataDir, 'candidate.json') });
+    try {
+        const session = await waitForSession(id, s => s.status === 'applied');
+        assert.equal(session.lastResult.completed, true);
+        assert.deepEqual(site.applications['JOB-US-0000007'], {
+            firstName: 'Jane',
+            phone: '555-0100',
+            over18: 'Yes',
+            workAuthorization: 'Yes'
+        });
+
+        const attempt = await getArtifact(path.join(userDataDir, 'artifacts'), session.lastResult.artifacts);
+        assert.equal(attempt.completed, true);
+        assert.deepEqual(attempt.transitions.map(transition => transition.state).slice(-2), ['completingApplication', 'confirmed']);
+        assert.equal(attempt.steps[attempt.steps.length - 1].name, 'application-confirmed');
+    } finally {
+        deleteSession(id);
+    }
+});
+
+test('records an application that ends on an error page as failed', async () => {
+    const { id } = startScenario('applicationError', { CANDIDATE_FILE: path.join(userDataDir, 'candidate.json') });
+    try {
+        const session = await waitForSession(id, s => s.lastAttempt?.failureReason === 'applicationError');
+        assert.equal(session.lastAttempt.outcome, 'failed');
+        assert.equal(session.lastAttempt.failedIn, 'completingApplication');
+        assert.equal(session.lastAttempt.retry.action, 'backoff');
+        assert.equal(session.lastResult.applied, false);
+    } finally {
+        deleteSession(id);
+    }
+});
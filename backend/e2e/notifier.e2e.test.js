@@ -0,0 +1,131 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import net from 'net';
+import { createServer } from 'http';
+import { setNotificationChannels, notify } from '../src/notifier.js';
+
+let webhookServer;
+let smtpServer;
+const webhookRequests = [];
+const emails = [];
+
+// Minimal SMTP stand-in that accepts every message and keeps its DATA section
+const startSmtpServer = () => new Promise(resolve => {
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        socket.write('220 localhost ESMTP stand-in\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString();
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) {
+                    return;
+                }
+                emails.push(buffer.slice(0, end));
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                socket.write('250 OK queued\r\n');
+            }
+            let lineEnd;
+            while (!inData && (lineEnd = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, lineEnd);
+                buffer = buffer.slice(lineEnd + 2);
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    socket.write('250 localhost\r\n');
+                } else if (command === 'DATA') {
+                    inData = true;
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+before(async () => {
+    webhookServer = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            webhookRequests.push(JSON.parse(body));
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => webhookServer.listen(0, '127.0.0.1', resolve));
+    smtpServer = await startSmtpServer();
+});
+
+after(async () => {
+    setNotificationChannels([]);
+    await new Promise(resolve => webhookServer.close(resolve));
+    await new Promise(resolve => smtpServer.close(resolve));
+});
+
+const job = { title: 'Delivery Station Warehouse Associate', payText: '$19.50', location: 'Seattle, WA', link: 'https://hiring.amazon.com/job/1' };
+
+test('posts subscribed events to a webhook', async () => {
+    setNotificationChannels([{
+        type: 'webhook',
+        url: `http://127.0.0.1:${webhookServer.address().port}/hook`,
+        events: ['jobMatched']
+    }]);
+
+    await notify('jobMatched', { sessionId: 'abc', job });
+    await notify('applyFailed', { sessionId: 'abc', job, reason: 'no apply button' });
+
+    assert.equal(webhookRequests.length, 1);
+    assert.equal(webhookRequests[0].event, 'jobMatched');
+    assert.equal(webhookRequests[0].job.title, job.title);
+    assert.match(webhookRequests[0].message, /Matching job found: Delivery Station Warehouse Associate/);
+});
+
+test('emails events through SMTP with a custom template', async () => {
+    setNotificationChannels([{
+        type: 'email',
+        host: '127.0.0.1',
+        port: smtpServer.address().port,
+        ignoreTLS: true,
+        from: 'bot@example.com',
+        to: 'me@example.com',
+        subject: 'Amazon Jobs: {{event}}',
+        template: 'Applied to {{job.title}} on {{shift.text}}'
+    }]);
+
+    const [result] = await notify('applyClicked', { sessionId: 'abc', job, shift: { text: 'Sat, Sun 8:00 AM - 6:30 PM' } });
+
+    assert.equal(result.status, 'fulfilled');
+    assert.equal(emails.length, 1);
+    assert.match(emails[0], /Subject: Amazon Jobs: applyClicked/);
+    // Undo quoted-printable soft line breaks before checking the body
+    assert.match(emails[0].replace(/=\r\n/g, ''), /Applied to Delivery Station Warehouse Associate on Sat, Sun 8:00 AM - 6:30 PM/);
+});
+
+test('runs a notification command with the rendered message', async () => {
+    const outputFile = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'job-bot-notify-')), 'message.txt');
+    setNotificationChannels([{
+        type: 'command',
+        command: process.execPath,
+        args: ['-e', 'require("fs").writeFileSync(process.argv[1], process.argv[2])', outputFile, '{{message}}']
+    }]);
+
+    await notify('monitorCrashed', { sessionId: 'abc', error: 'Chrome not found' });
+
+    assert.equal(await fs.readFile(outputFile, 'utf8'), '💥 Monitor session abc crashed: Chrome not found');
+    await fs.rm(path.dirname(outputFile), { recursive: true, force: true });
+});
+
+test('rejects channels with unknown events', () => {
+    assert.throws(
+        () => setNotificationChannels([{ type: 'webhook', url: 'http://localhost', events: ['jobApplied'] }]),
+        /unknown events: jobApplied/
+    );
+});
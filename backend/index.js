@@ -4,76 +4,127 @@ import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { startMonitoringJobs, stopMonitoringJobs, isJobMonitorRunning } from './src/monitorJobs.js';
+import {
+    createSession,
+    listSessions,
+    getSession,
+    hasRunningSessions,
+    stopSession,
+    stopAllSessions,
+    deleteSession,
+    requestJobApply,
+    sessionEvents
+} from './src/sessionManager.js';
+import { queryJobs } from './src/jobStore.js';
+import { loadConfig, getConfig, getConfigPath, getEnvOverrides, updateConfig, configFromRequest, redactConfig } from './src/config.js';
+import { login, logout, isValidToken, getRequestToken, requireAuth, isAllowedOrigin, initAuth } from './src/auth.js';
+import { NOTIFY_EVENTS, notify, loadNotificationChannels } from './src/notifier.js';
+import { logger, onLog, queryLogs, LOG_LEVELS } from './src/logger.js';
+import { listProfiles, updateProfile, resetProfileHealth } from './src/profiles.js';
+import { listPresets, getPreset, savePreset, deletePreset, importPresets, validatePreset, validatePresetList } from './src/presets.js';
+import { listArtifacts, getArtifact, resolveArtifactFile, deleteArtifact, cleanupArtifacts } from './src/artifacts.js';
+import { renderMetrics, trackWebSocketClients } from './src/metrics.js';
+import { PROTOCOL_VERSION, STREAM_ID, SESSION_EVENT_TYPES, createMessage, publish, getHistory, getLastSeq, onMessage } from './src/eventStream.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const NOTIFICATIONS_FILE = process.env.NOTIFICATIONS_FILE || path.join(__dirname, 'notifications.json');
 
 const app = express();
-const PORT = 8082;
+const PORT = Number(process.env.PORT) || 8082;
 const clients = new Set();
+trackWebSocketClients(clients);
 
-app.use(cors());
+// Only the dashboard origins in CORS_ORIGINS may call the API from a browser
+app.use(cors({ origin: (origin, callback) => callback(null, isAllowedOrigin(origin)) }));
 app.use(express.json());
 
 app.get('/', (req, res) => {
     res.send("Amazon Jobs Monitor Backend");
 });
 
+// Route to log in with AUTH_PASSWORD or API_TOKEN, returns a token for the Authorization header
+app.post('/login', (req, res) => {
+    const result = login(req.body?.password);
+    if (!result) {
+        logger.warn("Failed login attempt");
+        return res.status(401).json({ message: 'Invalid password' });
+    }
+
+    res.json(result);
+});
+
+// Every route below needs a valid token
+app.use(requireAuth);
+
+// Route to check that a token is still valid
+app.get('/auth', (req, res) => {
+    res.json({ authenticated: true });
+});
+
+// Route to end a dashboard login
+app.post('/logout', (req, res) => {
+    logout(getRequestToken(req));
+    res.json({ message: 'Logged out' });
+});
+
 // Create a single HTTP server instance
 const server = createServer(app);
 
 // Create WebSocket server using the same server instance
-const wss = new WebSocketServer({ server, path: '/ws' });
-
-// Store original console.log and console.error
-const originalConsoleLog = console.log;
-const originalConsoleError = console.error;
+// Upgrades are refused (401) without a valid ?token= or from an origin outside CORS_ORIGINS
+const wss = new WebSocketServer({
+    server,
+    path: '/ws',
+    verifyClient: ({ origin, req }) => isAllowedOrigin(origin) && isValidToken(getRequestToken(req))
+});
 
-// Modified broadcast function to avoid infinite loops
-export const broadcastLog = (message) => {
-    const logMessage = typeof message === 'string' ? message : JSON.stringify(message);
-    
-    // Only log to console if message doesn't indicate it's already being broadcast
-    if (!logMessage.includes("[BROADCAST]")) {
-        originalConsoleLog(logMessage);
-    }
+// Send a protocol message to every connected client
+const broadcastMessage = (message) => {
+    const payload = JSON.stringify(message);
     
     clients.forEach(client => {
         if (client.readyState === 1) { // OPEN
             try {
-                client.send(JSON.stringify({ log: logMessage }));
+                client.send(payload);
             } catch (err) {
-                originalConsoleError("[BROADCAST] Error sending to client:", err);
+                // Not logged, log entries are broadcast too
+                process.stderr.write(`Error sending to WebSocket client: ${err.message}\n`);
             }
         }
     });
 };
 
-// Override console.log but use originalConsoleLog inside
-console.log = function(...args) {
-    // Call original first
-    originalConsoleLog(...args);
-    
-    // Don't broadcast logs that indicate they're already broadcast messages
-    const message = args.join(' ');
-    if (!message.includes("[BROADCAST]")) {
-        broadcastLog(message);
-    }
-};
+onMessage(broadcastMessage);
 
-// Override console.error
-console.error = function(...args) {
-    // Call original first
-    originalConsoleError(...args);
-    
-    // Don't broadcast logs that indicate they're already broadcast messages
-    const message = args.join(' ');
-    if (!message.includes("[BROADCAST]")) {
-        broadcastLog(`ERROR: ${message}`);
-    }
-};
+// Log entries and session events become protocol messages, see src/eventStream.js
+onLog((entry) => publish('log', entry, entry.sessionId));
+Object.entries(SESSION_EVENT_TYPES).forEach(([eventName, type]) => {
+    sessionEvents.on(eventName, ({ sessionId, ...data }) => publish(type, data, sessionId));
+});
+
+// Push alerts for monitor events to the configured notification channels
+Object.keys(NOTIFY_EVENTS).forEach(eventName => {
+    sessionEvents.on(eventName, (event) => {
+        notify(eventName, event).catch(error => logger.error(`Notification error: ${error.message}`));
+    });
+});
+
+try {
+    const config = await loadConfig();
+    logger.info(`Loaded config from ${getConfigPath()} (${config.CHROME_PROFILES.length} Chrome profile(s), refresh every ${config.REFRESH_INTERVAL}ms)`);
+} catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+}
+initAuth();
+
+loadNotificationChannels(NOTIFICATIONS_FILE)
+    .then(channels => logger.info(`Loaded ${channels.length} notification channel(s)`))
+    .catch(error => logger.error(error.message));
 
 // Handle WebSocket connections with improved reliability
 wss.on('connection', (ws) => {
-    originalConsoleLog("[BROADCAST] New WebSocket client connected");
+    logger.debug("New WebSocket client connected");
     clients.add(ws);
     
     // Initialize connection health check
@@ -90,34 +141,41 @@ wss.on('connection', (ws) => {
             const data = JSON.parse(message);
             if (data.type === 'heartbeat') {
                 // Respond to heartbeat
-                ws.send(JSON.stringify({ type: 'heartbeat_response' }));
+                ws.send(JSON.stringify(createMessage('heartbeat.ack')));
             }
         } catch (err) {
-            originalConsoleError("[BROADCAST] Error parsing client message:", err);
+            logger.debug("Error parsing WebSocket client message:", err.message);
         }
     });
     
     // Handle errors
     ws.on('error', (error) => {
-        originalConsoleError("[BROADCAST] WebSocket error:", error);
+        logger.debug("WebSocket error:", error.message);
         // Don't remove client here, let close handler do it
     });
     
     // Handle disconnections
     ws.on('close', (code, reason) => {
-        originalConsoleLog(`[BROADCAST] WebSocket client disconnected. Code: ${code}, Reason: ${reason || 'None provided'}`);
+        logger.debug(`WebSocket client disconnected. Code: ${code}, Reason: ${reason || 'None provided'}`);
         clients.delete(ws);
     });
     
-    // Send welcome message
-    ws.send(JSON.stringify({ log: "Connected to Amazon Jobs Monitor, Please add the links and positions to start" }));
+    // Send the current state and recent history so a reconnecting dashboard doesn't start blank
+    ws.send(JSON.stringify(createMessage('hello', {
+        protocolVersion: PROTOCOL_VERSION,
+        streamId: STREAM_ID,
+        message: "Connected to Amazon Jobs Monitor, Please add the links and positions to start",
+        state: getStatus(),
+        seq: getLastSeq(),
+        history: getHistory()
+    })));
 });
 
 // Health check interval for WebSocket connections
 const pingInterval = setInterval(() => {
     wss.clients.forEach((ws) => {
         if (ws.isAlive === false) {
-            originalConsoleLog("[BROADCAST] Terminating inactive connection");
+            logger.debug("Terminating inactive WebSocket connection");
             return ws.terminate();
         }
         
@@ -129,82 +187,485 @@ const pingInterval = setInterval(() => {
 // Clean up interval on server close
 wss.on('close', () => {
     clearInterval(pingInterval);
-    originalConsoleLog("[BROADCAST] WebSocket server closed");
+    logger.debug("WebSocket server closed");
 });
 
-// Route to start job monitoring
-app.post('/start', async (req, res) => {
-    const { links, positions } = req.body;
-    
-    if (!Array.isArray(links) || !Array.isArray(positions)) {
-        return res.status(400).json({ message: 'Invalid input format' });
+// Build the monitor configuration shared by every session, request body fields override the
+// loaded config. Throws if the result is invalid.
+const createMonitorConfig = (body) => {
+    const config = configFromRequest(body);
+    if (config.TARGET_JOBS.length === 0 && config.MATCH_RULES.length === 0) {
+        throw new Error('Provide at least one target position or matching rule');
     }
-    
-    if (isJobMonitorRunning()) {
+    return config;
+};
+
+// Route to start job monitoring - creates one session per job link
+app.post('/start', async (req, res) => {
+    if (hasRunningSessions()) {
         return res.status(400).json({ message: 'Script is already running' });
     }
-    
-    const jobLinks = links.filter(link => link.trim().startsWith('https://hiring.amazon'));
-    const targetPositions = positions.map(pos => pos.trim()).filter(pos => pos.length > 0);
 
-    if (jobLinks.length === 0 || targetPositions.length === 0) {
-        return res.status(400).json({ message: 'Provide valid Amazon job links and target positions' });
+    let config;
+    try {
+        config = createMonitorConfig(req.body);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
     }
 
-    // Create configuration object
-    const config = {
-        USER_DATA_DIR: path.join(process.env.LOCALAPPDATA, 'Google', 'Chrome', 'User Data'),   // Path to Chrome user data
-        CHROME_PROFILES: ['Profile 11', 'Profile 12', 'Default'],     // Chrome profile to use use one by one for multiple links
-        REFRESH_INTERVAL: 30000,          // Refresh interval in ms
-        TARGET_JOBS: targetPositions,     // User-provided positions
-        AMAZON_JOBS_URL: jobLinks[0]      // User-provided job URL (first valid one)
-    };
+    const jobLinks = config.JOB_LINKS.filter(link => link.startsWith('https://hiring.amazon'));
 
-    broadcastLog(`🚀 Starting with job link: ${config.AMAZON_JOBS_URL}`);
-    broadcastLog(`🔍 Looking for positions: ${config.TARGET_JOBS.join(', ')}`);
+    if (jobLinks.length === 0) {
+        return res.status(400).json({ message: 'Provide valid Amazon job links and target positions' });
+    }
+
+    logger.info(`🚀 Starting ${jobLinks.length} session(s) for job links: ${jobLinks.join(', ')}`);
+    logger.info(`🔍 Looking for positions: ${[...config.TARGET_JOBS, ...config.MATCH_RULES.map(rule => rule.name || 'custom rule')].join(', ')}`);
     
     try {
-        // Start monitoring but don't await it to allow the server to respond
-        startMonitoringJobs(config, broadcastLog).catch(error => {
-            console.error(`Monitor jobs error: ${error.message}`);
-        });
+        // Each link is monitored by its own session with its own browser and profile
+        const sessions = jobLinks.map(link => createSession({ ...config, AMAZON_JOBS_URL: link }));
         
-        res.json({ message: 'Script started', config });
+        res.json({ message: 'Script started', config: redactConfig({ ...config, JOB_LINKS: jobLinks }), sessions });
     } catch (error) {
-        console.error(error);
+        logger.error(error);
         res.status(500).json({ message: 'Error starting script', error: error.message });
     }
 });
 
-// Route to stop job monitoring
+// Route to stop job monitoring - stops every session
 app.post('/stop', (req, res) => {
-    if (!isJobMonitorRunning()) {
+    if (!hasRunningSessions()) {
         return res.status(400).json({ message: 'Script is not running' });
     }
 
-    stopMonitoringJobs();
-    broadcastLog("🛑 Script stopped");
+    stopAllSessions();
+    logger.info("🛑 Script stopped");
     res.json({ message: 'Script stopped' });
 });
 
+// Overall state: whether anything is running, when the next check is due and every session
+const getStatus = () => {
+    const sessions = listSessions();
+    // Earliest upcoming check across all active sessions
+    const nextRun = sessions
+        .filter(session => session.schedule?.nextRunAt && ['running', 'sleeping'].includes(session.status))
+        .map(session => session.schedule.nextRunAt)
+        .sort()[0] || null;
+
+    return {
+        isRunning: hasRunningSessions(),
+        nextRunAt: nextRun,
+        sessions
+    };
+};
+
 // Route to get current status
 app.get('/status', (req, res) => {
-    const status = {
-        isRunning: isJobMonitorRunning()
-    };
+    res.json(getStatus());
+});
+
+// Route for Prometheus to scrape, it authenticates with the API token like any other client
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Route to get the current config and where it comes from
+app.get('/config', (req, res) => {
+    res.json({ config: redactConfig(getConfig()), file: getConfigPath(), envOverrides: getEnvOverrides() });
+});
+
+// Route to change config fields and save them to the config file, running sessions keep their config
+app.put('/config', async (req, res) => {
+    let config;
+    try {
+        config = await updateConfig(req.body);
+    } catch (error) {
+        // File system errors have a code, anything else is a validation error
+        return res.status(error.code ? 500 : 400).json({ message: error.message });
+    }
+
+    logger.info(`⚙️ Config updated and saved to ${getConfigPath()}`);
+    res.json({ config: redactConfig(config), file: getConfigPath(), envOverrides: getEnvOverrides() });
+});
+
+// Route to list all sessions
+app.get('/sessions', (req, res) => {
+    res.json({ sessions: listSessions() });
+});
+
+// Route to start a single session for one job link
+app.post('/sessions', (req, res) => {
+    const { link } = req.body;
+
+    if (typeof link !== 'string' || !link.trim().startsWith('https://hiring.amazon')) {
+        return res.status(400).json({ message: 'Provide a valid Amazon job link' });
+    }
+
+    let config;
+    try {
+        config = createMonitorConfig(req.body);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
+    const session = createSession({ ...config, AMAZON_JOBS_URL: link.trim() });
+    logger.info(`🚀 Started session ${session.id} for job link: ${link.trim()}`);
+    res.status(201).json({ message: 'Session started', session });
+});
+
+// Route to inspect a single session
+app.get('/sessions/:id', (req, res) => {
+    const session = getSession(req.params.id);
+    if (!session) {
+        return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ session });
+});
+
+// Route to stop a single session
+app.post('/sessions/:id/stop', (req, res) => {
+    if (!stopSession(req.params.id)) {
+        return res.status(404).json({ message: 'Session not found' });
+    }
+
+    logger.info(`🛑 Session ${req.params.id} stopped`);
+    res.json({ message: 'Session stopped', session: getSession(req.params.id) });
+});
+
+// Route to apply to one job from a session's latest listing right away, even if it doesn't match
+// Job IDs are usually job links, so they go in the body rather than the path
+app.post('/sessions/:id/apply', (req, res) => {
+    const { jobId } = req.body || {};
+    if (typeof jobId !== 'string' || !jobId) {
+        return res.status(400).json({ message: 'jobId must be a job ID from the session\'s latest listing' });
+    }
+
+    const request = requestJobApply(req.params.id, jobId);
+    if (!request) {
+        return res.status(404).json({ message: 'Session not found' });
+    }
+    if (!request.queued) {
+        return res.status(409).json({ message: request.reason });
+    }
+
+    logger.info(`👆 Apply to ${request.job.title} requested for session ${req.params.id}`);
+    res.status(202).json({ message: 'Apply queued', job: request.job });
+});
+
+// Route to stop and remove a session
+app.delete('/sessions/:id', (req, res) => {
+    if (!deleteSession(req.params.id)) {
+        return res.status(404).json({ message: 'Session not found' });
+    }
+
+    logger.info(`🗑️ Session ${req.params.id} deleted`);
+    res.json({ message: 'Session deleted' });
+});
+
+// Route to list the saved presets, the dashboard exports this list as is
+app.get('/presets', async (req, res) => {
+    try {
+        res.json({ presets: await listPresets() });
+    } catch (error) {
+        logger.error(error);
+        res.status(500).json({ message: 'Error reading presets', error: error.message });
+    }
+});
+
+// Route to save many presets at once, e.g. from an exported file
+app.post('/presets/import', async (req, res) => {
+    const list = Array.isArray(req.body) ? req.body : req.body?.presets;
+    try {
+        validatePresetList(list);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
+    try {
+        const imported = await importPresets(list);
+        logger.info(`📥 Imported ${imported} preset(s)`);
+        res.json({ message: `Imported ${imported} preset(s)`, presets: await listPresets() });
+    } catch (error) {
+        logger.error(error);
+        res.status(500).json({ message: 'Error importing presets', error: error.message });
+    }
+});
+
+// Route to get one preset
+app.get('/presets/:name', async (req, res) => {
+    try {
+        const preset = await getPreset(req.params.name);
+        if (!preset) {
+            return res.status(404).json({ message: 'Preset not found' });
+        }
+
+        res.json({ preset });
+    } catch (error) {
+        logger.error(error);
+        res.status(500).json({ message: 'Error reading preset', error: error.message });
+    }
+});
+
+// Route to create or replace a preset
+app.put('/presets/:name', async (req, res) => {
+    try {
+        validatePreset(req.params.name, req.body);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
+    try {
+        const { preset, created } = await savePreset(req.params.name, req.body);
+        logger.info(`💾 Preset "${preset.name}" ${created ? 'created' : 'updated'}`);
+        res.status(created ? 201 : 200).json({ message: created ? 'Preset created' : 'Preset updated', preset });
+    } catch (error) {
+        logger.error(error);
+        res.status(500).json({ message: 'Error saving preset', error: error.message });
+    }
+});
+
+// Route to delete a preset
+app.delete('/presets/:name', async (req, res) => {
+    try {
+        if (!await deletePreset(req.params.name)) {
+            return res.status(404).json({ message: 'Preset not found' });
+        }
+
+        logger.info(`🗑️ Preset "${req.params.name}" deleted`);
+        res.json({ message: 'Preset deleted' });
+    } catch (error) {
+        logger.error(error);
+        res.status(500).json({ message: 'Error deleting preset', error: error.message });
+    }
+});
+
+// Route to list Chrome profiles with their display names, labels and health
+app.get('/profiles', async (req, res) => {
+    try {
+        res.json({ userDataDir: getConfig().USER_DATA_DIR, profiles: await listProfiles(getConfig()) });
+    } catch (error) {
+        logger.error(error);
+        res.status(500).json({ message: 'Error reading profiles', error: error.message });
+    }
+});
+
+// Route to label a profile or enable/disable it for rotation
+app.patch('/profiles/:name', async (req, res) => {
+    const { label, enabled } = req.body || {};
+    if (label !== undefined && label !== null && typeof label !== 'string') {
+        return res.status(400).json({ message: 'label must be a string or null' });
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return res.status(400).json({ message: 'enabled must be a boolean' });
+    }
+
+    try {
+        if (!(await updateProfile(getConfig(), req.params.name, { label, enabled }))) {
+            return res.status(404).json({ message: 'Profile not found' });
+        }
+        const profile = (await listProfiles(getConfig())).find(entry => entry.name === req.params.name);
+        logger.info(`👤 Updated profile ${req.params.name}`);
+        res.json({ message: 'Profile updated', profile });
+    } catch (error) {
+        logger.error(error);
+        res.status(500).json({ message: 'Error updating profile', error: error.message });
+    }
+});
+
+// Route to clear a profile's failures and cooldown
+app.post('/profiles/:name/reset', async (req, res) => {
+    try {
+        if (!(await resetProfileHealth(req.params.name))) {
+            return res.status(404).json({ message: 'Profile not found' });
+        }
+        res.json({ message: 'Profile health reset' });
+    } catch (error) {
+        logger.error(error);
+        res.status(500).json({ message: 'Error resetting profile', error: error.message });
+    }
+});
+
+// Parse an optional "true"/"false" query parameter
+const parseBooleanQuery = (value) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (value !== 'true' && value !== 'false') {
+        throw new Error(`Expected "true" or "false" but got "${value}"`);
+    }
+    return value === 'true';
+};
+
+// Parse an optional date query parameter into an ISO string
+const parseDateQuery = (value, name) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid "${name}" date: ${value}`);
+    }
+    return date.toISOString();
+};
+
+// Route to query the job history store
+app.get('/jobs', async (req, res) => {
+    const { matched, applied, outcome, q, since, limit = '50', offset = '0' } = req.query;
     
-    res.json(status);
+    let filters;
+    try {
+        filters = {
+            matched: parseBooleanQuery(matched),
+            applied: parseBooleanQuery(applied),
+            outcome,
+            search: q,
+            limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500),
+            offset: Math.max(parseInt(offset, 10) || 0, 0),
+            since: parseDateQuery(since, 'since')
+        };
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+    
+    try {
+        const result = await queryJobs(filters);
+        res.json({ ...result, limit: filters.limit, offset: filters.offset });
+    } catch (error) {
+        logger.error(error);
+        res.status(500).json({ message: 'Error reading job history', error: error.message });
+    }
+});
+
+// Route to query the log files, newest first
+app.get('/logs', async (req, res) => {
+    const { level, sessionId, jobId, event, q, since, until, limit = '100', offset = '0' } = req.query;
+
+    if (level !== undefined && !LOG_LEVELS.includes(level)) {
+        return res.status(400).json({ message: `Invalid level "${level}", expected one of: ${LOG_LEVELS.join(', ')}` });
+    }
+
+    let filters;
+    try {
+        filters = {
+            level,
+            sessionId,
+            jobId,
+            event,
+            search: q,
+            since: parseDateQuery(since, 'since'),
+            until: parseDateQuery(until, 'until'),
+            limit: Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000),
+            offset: Math.max(parseInt(offset, 10) || 0, 0)
+        };
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
+    try {
+        const result = await queryLogs(filters);
+        res.json({ ...result, limit: filters.limit, offset: filters.offset });
+    } catch (error) {
+        logger.error(error);
+        res.status(500).json({ message: 'Error reading logs', error: error.message });
+    }
+});
+
+// Apply the artifact retention settings, returns the removed attempt IDs
+const runArtifactCleanup = async () => {
+    const config = getConfig();
+    const removed = await cleanupArtifacts(config.ARTIFACTS_DIR, {
+        maxAgeDays: config.ARTIFACTS_RETENTION_DAYS,
+        maxCount: config.ARTIFACTS_MAX_COUNT
+    });
+    if (removed.length > 0) {
+        logger.info(`🧹 Removed ${removed.length} old apply attempt artifact folder(s)`);
+    }
+    return removed;
+};
+
+runArtifactCleanup().catch(error => logger.error(`Error cleaning up artifacts: ${error.message}`));
+const cleanupInterval = setInterval(() => {
+    runArtifactCleanup().catch(error => logger.error(`Error cleaning up artifacts: ${error.message}`));
+}, 60 * 60 * 1000); // Every hour
+
+// Route to list recorded apply attempts, newest first
+app.get('/artifacts', async (req, res) => {
+    const { sessionId, outcome, limit = '50', offset = '0' } = req.query;
+
+    try {
+        const result = await listArtifacts(getConfig().ARTIFACTS_DIR, {
+            sessionId,
+            outcome,
+            limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500),
+            offset: Math.max(parseInt(offset, 10) || 0, 0)
+        });
+        res.json(result);
+    } catch (error) {
+        logger.error(error);
+        res.status(500).json({ message: 'Error reading artifacts', error: error.message });
+    }
+});
+
+// Route to apply the retention settings now
+app.post('/artifacts/cleanup', async (req, res) => {
+    try {
+        const removed = await runArtifactCleanup();
+        res.json({ message: `Removed ${removed.length} attempt(s)`, removed });
+    } catch (error) {
+        logger.error(error);
+        res.status(500).json({ message: 'Error cleaning up artifacts', error: error.message });
+    }
+});
+
+// Route to inspect one apply attempt and its steps
+app.get('/artifacts/:id', async (req, res) => {
+    const attempt = await getArtifact(getConfig().ARTIFACTS_DIR, req.params.id).catch(() => null);
+    if (!attempt) {
+        return res.status(404).json({ message: 'Artifacts not found' });
+    }
+
+    res.json({ attempt });
+});
+
+// Route to view or download a screenshot or HTML file, add ?download=1 to save it
+app.get('/artifacts/:id/files/:file', (req, res) => {
+    const filePath = resolveArtifactFile(getConfig().ARTIFACTS_DIR, req.params.id, req.params.file);
+    if (!filePath) {
+        return res.status(404).json({ message: 'File not found' });
+    }
+
+    // Captured pages are someone else's HTML served from the API's origin, sandboxing them keeps
+    // their scripts from running and calling the API with the dashboard's token
+    res.set({ 'Content-Security-Policy': 'sandbox', 'X-Content-Type-Options': 'nosniff' });
+    const send = req.query.download ? res.download.bind(res) : res.sendFile.bind(res);
+    send(filePath, (error) => {
+        if (error && !res.headersSent) {
+            res.status(404).json({ message: 'File not found' });
+        }
+    });
+});
+
+// Route to delete one apply attempt
+app.delete('/artifacts/:id', async (req, res) => {
+    if (!(await deleteArtifact(getConfig().ARTIFACTS_DIR, req.params.id).catch(() => false))) {
+        return res.status(404).json({ message: 'Artifacts not found' });
+    }
+
+    res.json({ message: 'Artifacts deleted' });
 });
 
 // Graceful shutdown handler
 process.on('SIGINT', () => {
-    originalConsoleLog("[BROADCAST] Shutting down server...");
+    logger.info("Shutting down server...");
     clearInterval(pingInterval);
+    clearInterval(cleanupInterval);
     
     wss.close(() => {
-        originalConsoleLog("[BROADCAST] WebSocket server closed");
+        logger.debug("WebSocket server closed");
         server.close(() => {
-            originalConsoleLog("[BROADCAST] HTTP server closed");
+            logger.info("HTTP server closed");
             process.exit(0);
         });
     });
@@ -212,6 +673,6 @@ process.on('SIGINT', () => {
 
 // Start the server - only need to start one server that handles both HTTP and WebSocket
 server.listen(PORT, () => {
-    console.log(`Backend server running on http://localhost:${PORT}`);
-    console.log(`WebSocket server running on ws://localhost:${PORT}/ws`);
+    logger.info(`Backend server running on http://localhost:${PORT}`);
+    logger.info(`WebSocket server running on ws://localhost:${PORT}/ws`);
 });
\ No newline at end of file
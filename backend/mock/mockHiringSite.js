@@ -0,0 +1,301 @@
+import express from 'express';
+import { createServer } from 'http';
+import { fileURLToPath } from 'url';
+
+// Questions on each page of the application form that jobs with an "application" show
+const APPLICATION_STEPS = [
+    [
+        { name: 'firstName', label: 'First name', type: 'text' },
+        { name: 'phone', label: 'Phone number', type: 'tel' }
+    ],
+    [
+        { name: 'over18', label: 'Are you at least 18 years old?', type: 'select', options: ['Yes', 'No'] },
+        { name: 'workAuthorization', label: 'Are you legally authorized to work in the US?', type: 'radio', options: ['Yes', 'No'] }
+    ]
+];
+
+// Built-in scenarios, each one a search results page and the job detail pages behind it
+export const DEFAULT_SCENARIOS = {
+    default: {
+        jobs: [
+            {
+                id: 'JOB-US-0000001',
+                title: 'Delivery Station Warehouse Associate',
+                card: {
+                    isNew: true,
+                    type: 'Full Time, Part Time',
+                    duration: 'Regular',
+                    pay: 'Up to $19.50',
+                    location: 'Seattle, WA (within 5 mi)',
+                    shifts: '2 shifts available'
+                },
+                shifts: [
+                    'Mon, Tue, Wed, Thu 06:00 AM - 04:30 PM · $19.50/hr · 40 hrs/wk',
+                    'Fri, Sat, Sun 07:00 PM - 05:30 AM · $20.25/hr · 30 hrs/wk'
+                ],
+                applyButton: true
+            },
+            {
+                id: 'JOB-US-0000002',
+                title: 'Sortation Center Associate',
+                shifts: ['Sat, Sun 08:00 AM - 06:30 PM · $18.75/hr · 20 hrs/wk'],
+                applyButton: true
+            }
+        ]
+    },
+    noJobs: {
+        jobs: []
+    },
+    matchNoShifts: {
+        jobs: [
+            {
+                id: 'JOB-US-0000003',
+                title: 'Delivery Station Warehouse Associate',
+                shifts: [],
+                applyButton: true
+            }
+        ]
+    },
+    missingApplyButton: {
+        jobs: [
+            {
+                id: 'JOB-US-0000004',
+                title: 'Delivery Station Warehouse Associate',
+                shifts: ['Mon, Tue, Wed, Thu 06:00 AM - 04:30 PM · $19.50/hr · 40 hrs/wk'],
+                applyButton: false
+            }
+        ]
+    },
+    overnightShifts: {
+        jobs: [
+            {
+                id: 'JOB-US-0000006',
+                title: 'Delivery Station Warehouse Associate',
+                shifts: [
+                    'Mon, Tue, Wed, Thu 10:00 PM - 08:30 AM · $21.00/hr · 40 hrs/wk',
+                    'Sun - Wed 01:20 AM - 11:50 AM · $20.50/hr · 40 hrs/wk'
+                ],
+                applyButton: true
+            }
+        ]
+    },
+    applicationFlow: {
+        jobs: [
+            {
+                id: 'JOB-US-0000007',
+                title: 'Delivery Station Warehouse Associate',
+                shifts: ['Mon, Tue, Wed, Thu 06:00 AM - 04:30 PM · $19.50/hr · 40 hrs/wk'],
+                applyButton: true,
+                application: { steps: APPLICATION_STEPS }
+            }
+        ]
+    },
+    applicationError: {
+        jobs: [
+            {
+                id: 'JOB-US-0000008',
+                title: 'Delivery Station Warehouse Associate',
+                shifts: ['Mon, Tue, Wed, Thu 06:00 AM - 04:30 PM · $19.50/hr · 40 hrs/wk'],
+                applyButton: true,
+                application: { steps: APPLICATION_STEPS, failOnSubmit: true }
+            }
+        ]
+    },
+    slowNavigation: {
+        detailDelayMs: 4000,
+        jobs: [
+            {
+                id: 'JOB-US-0000005',
+                title: 'Delivery Station Warehouse Associate',
+                shifts: ['Mon, Tue, Wed, Thu 06:00 AM - 04:30 PM · $19.50/hr · 40 hrs/wk'],
+                applyButton: true
+            }
+        ]
+    }
+};
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body>${body}</body>
+</html>`;
+
+// Labelled metadata lines shown under the job title, cards without any only show the title
+const renderCardDetails = (card = {}) => [
+    ['Type', card.type],
+    ['Duration', card.duration],
+    ['Pay rate', card.pay],
+    ['Location', card.location]
+]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `<div>${label}: ${escapeHtml(value)}</div>`)
+    .concat(card.shifts ? [`<div>${escapeHtml(card.shifts)}</div>`] : [])
+    .join('');
+
+// Search results, using the same job card structure as the live site
+const renderSearchPage = (name, scenario) => renderPage('Amazon Jobs - Job Search', `
+    <h1>Job Search</h1>
+    ${scenario.jobs.length === 0 ? '<p class="noJobs">Sorry, there are no jobs available that match your search.</p>' : ''}
+    <div class="jobResults">
+        ${scenario.jobs.map(job => `
+        <div data-test-id="JobCard">
+            <a href="/${name}/jobDetail/${encodeURIComponent(job.id)}">
+                <div class="jobCard">
+                    ${job.card?.isNew ? '<span class="badge">New</span>' : ''}
+                    <div class="hvh-careers-emotion-1pll7m0">${escapeHtml(job.title)}</div>
+                    ${renderCardDetails(job.card)}
+                </div>
+            </a>
+        </div>`).join('')}
+    </div>`);
+
+// Job details with the shift dropdown and apply button the bot looks for
+const renderJobDetailPage = (name, job) => renderPage('Job Details', `
+    <h1>${escapeHtml(job.title)}</h1>
+    ${job.shifts.length > 0 ? `
+    <div class="jobDetailScheduleDropdown hvh-careers-emotion-1uzwmf0">Select a shift</div>
+    <div class="hvh-careers-emotion-15qbkvn"></div>
+    <script>
+        const shifts = ${JSON.stringify(job.shifts)};
+        const dropdown = document.querySelector('.jobDetailScheduleDropdown');
+        const list = document.querySelector('.hvh-careers-emotion-15qbkvn');
+        dropdown.addEventListener('click', () => {
+            list.innerHTML = '';
+            shifts.forEach((shift) => {
+                const item = document.createElement('div');
+                item.className = 'hvh-careers-emotion-1ewhhfh';
+                item.textContent = shift;
+                item.addEventListener('click', () => {
+                    dropdown.textContent = shift;
+                    dropdown.setAttribute('data-selected-shift', shift);
+                    list.innerHTML = '';
+                });
+                list.appendChild(item);
+            });
+        });
+    </script>` : ''}
+    ${job.applyButton ? `<a id="jobDetailApplyButtonDesktop" href="/${name}/apply/${encodeURIComponent(job.id)}">Apply</a>` : ''}`);
+
+const renderQuestion = (field) => {
+    const label = escapeHtml(field.label);
+    if (field.type === 'select') {
+        return `<label for="${field.name}">${label}</label>
+        <select id="${field.name}" name="${field.name}" required>
+            <option value="" disabled selected>Choose one</option>
+            ${field.options.map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('')}
+        </select>`;
+    }
+    if (field.type === 'radio') {
+        return `<fieldset><legend>${label}</legend>
+            ${field.options.map(option => `<label><input type="radio" name="${field.name}" value="${escapeHtml(option)}" required> ${escapeHtml(option)}</label>`).join('')}
+        </fieldset>`;
+    }
+    return `<label for="${field.name}">${label}</label><input id="${field.name}" name="${field.name}" type="${field.type}" required>`;
+};
+
+// One page of the multi-step application, posting to the next one
+const renderApplicationStep = (name, job, step) => {
+    const isLast = step === job.application.steps.length - 1;
+    return renderPage('Application', `
+    <h1>Apply for ${escapeHtml(job.title)}</h1>
+    <p>Step ${step + 1} of ${job.application.steps.length}</p>
+    <form method="post" action="/${name}/apply/${encodeURIComponent(job.id)}/${step}">
+        ${job.application.steps[step].map(field => `<div>${renderQuestion(field)}</div>`).join('')}
+        <button type="submit" data-test-id="applicationNextButton">${isLast ? 'Submit application' : 'Next'}</button>
+    </form>`);
+};
+
+// Start the mock hiring site, extra scenarios are merged over the built-in ones
+export const startMockHiringSite = async ({ port = 0, scenarios = {} } = {}) => {
+    const allScenarios = { ...DEFAULT_SCENARIOS, ...scenarios };
+    const visits = [];
+    // Answers posted to every application form, keyed by job ID
+    const applications = {};
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    app.use((req, res, next) => {
+        visits.push(req.path);
+        next();
+    });
+
+    app.param('scenario', (req, res, next, name) => {
+        req.scenario = allScenarios[name];
+        if (!req.scenario) {
+            return res.status(404).send(renderPage('Not Found', `<p>Unknown scenario ${escapeHtml(name)}</p>`));
+        }
+        next();
+    });
+
+    app.get('/:scenario/jobSearch', async (req, res) => {
+        await delay(req.scenario.searchDelayMs || 0);
+        res.send(renderSearchPage(req.params.scenario, req.scenario));
+    });
+
+    app.get('/:scenario/jobDetail/:jobId', async (req, res) => {
+        const job = req.scenario.jobs.find(item => item.id === req.params.jobId);
+        if (!job) {
+            return res.status(404).send(renderPage('Not Found', '<p>This job is no longer available.</p>'));
+        }
+
+        await delay(req.scenario.detailDelayMs || 0);
+        res.send(renderJobDetailPage(req.params.scenario, job));
+    });
+
+    app.get('/:scenario/apply/:jobId', (req, res) => {
+        const job = req.scenario.jobs.find(item => item.id === req.params.jobId);
+        if (!job?.application) {
+            return res.send(renderPage('Application', `<h1>Application started for ${escapeHtml(req.params.jobId)}</h1>`));
+        }
+        res.send(renderApplicationStep(req.params.scenario, job, 0));
+    });
+
+    app.post('/:scenario/apply/:jobId/:step', (req, res) => {
+        const job = req.scenario.jobs.find(item => item.id === req.params.jobId);
+        const step = parseInt(req.params.step, 10);
+        if (!job?.application?.steps[step]) {
+            return res.status(404).send(renderPage('Not Found', '<p>This application is no longer available.</p>'));
+        }
+
+        // Unanswered questions send the same page back
+        if (job.application.steps[step].some(field => !req.body[field.name])) {
+            return res.send(renderApplicationStep(req.params.scenario, job, step));
+        }
+        applications[job.id] = { ...applications[job.id], ...req.body };
+
+        if (step < job.application.steps.length - 1) {
+            return res.send(renderApplicationStep(req.params.scenario, job, step + 1));
+        }
+        if (job.application.failOnSubmit) {
+            return res.send(renderPage('Application', '<div data-test-id="applicationError"><h1>Something went wrong</h1><p>Please try again later.</p></div>'));
+        }
+        res.send(renderPage('Application', '<div data-test-id="applicationConfirmation"><h1>Application submitted</h1><p>Thank you for applying.</p></div>'));
+    });
+
+    const server = createServer(app);
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        url,
+        visits,
+        applications,
+        scenarioUrl: (name) => `${url}/${name}/jobSearch`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+// Run standalone with `npm run mock`
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const site = await startMockHiringSite({ port: Number(process.env.MOCK_PORT) || 8090 });
+    console.log(`Mock hiring site running on ${site.url}`);
+    Object.keys(DEFAULT_SCENARIOS).forEach(name => console.log(`- ${name}: ${site.scenarioUrl(name)}`));
+}
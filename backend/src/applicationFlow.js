@@ -0,0 +1,242 @@
+import fs from 'fs/promises';
+
+// Pages walked through before giving up on reaching a confirmation
+const MAX_STEPS = 15;
+// Steps in a row where clicking next left the page unchanged before the flow counts as stuck
+const MAX_UNCHANGED_STEPS = 2;
+
+// Text fallbacks for when none of the selector chains match
+const CONFIRMATION_TEXT = /application (has been )?(submitted|received|complete)|thank you for (applying|your application)/i;
+const ERROR_TEXT = /something went wrong|an error (has )?occurred|unable to (submit|process) your application|please try again later/i;
+const SIGN_IN_URL = /\/(ap\/)?sign-?in|\/login/i;
+const NEXT_BUTTON_TEXT = /^(next|continue|save and continue|submit|submit application|review and submit)$/i;
+
+// Read the candidate's answers, a missing file means applications are left to finish by hand.
+// The file looks like { "answers": [{ "match": "phone", "answer": "555-0100" }, ...] } where match
+// is text (or a list of texts) looked for in each question's label.
+export const loadCandidateProfile = async (file) => {
+    let profile;
+    try {
+        profile = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Could not read candidate profile ${file}: ${error.message}`);
+    }
+
+    if (!profile || !Array.isArray(profile.answers)) {
+        throw new Error(`Invalid candidate profile ${file}: expected an "answers" list`);
+    }
+    profile.answers.forEach((entry, index) => {
+        const matches = [].concat(entry?.match);
+        if (matches.length === 0 || !matches.every(match => typeof match === 'string' && match.trim().length > 0)) {
+            throw new Error(`Invalid candidate profile ${file}: answers[${index}].match must be text or a list of texts`);
+        }
+        if (!['string', 'number', 'boolean'].includes(typeof entry.answer)) {
+            throw new Error(`Invalid candidate profile ${file}: answers[${index}].answer must be text, a number or true/false`);
+        }
+    });
+
+    return profile;
+};
+
+// The answer for a question, from the first entry whose match appears in its label
+const findAnswer = (candidate, question) => {
+    const text = question.toLowerCase();
+    const entry = candidate.answers.find(({ match }) => [].concat(match).some(item => text.includes(item.toLowerCase())));
+    return entry ? entry.answer : undefined;
+};
+
+// Option whose text equals the answer, or failing that contains it
+const findOption = (options, answer) => {
+    const wanted = String(answer === true ? 'yes' : answer === false ? 'no' : answer).toLowerCase();
+    return options.find(option => option.text.toLowerCase() === wanted) ||
+        options.find(option => option.text.toLowerCase().includes(wanted));
+};
+
+// Fixed wait, shortened by DELAY_SCALE like the rest of the monitor
+const pause = (session, ms) => new Promise(resolve => setTimeout(resolve, ms * (session.config.DELAY_SCALE ?? 1)));
+
+const findInChain = async (session, tab, key) => session.selectors.has(key) ? session.selectors.find(tab, key) : null;
+
+// Every visible form control on the page, tagged so it can be found again. Radio buttons are
+// grouped into one question per name.
+const readFields = (tab) => tab.evaluate(() => {
+    const isVisible = (element) => !!(element.offsetWidth || element.offsetHeight || element.getClientRects().length);
+    const textOf = (element) => (element?.innerText || element?.textContent || '').trim();
+    const labelOf = (element) => {
+        const byFor = element.id ? document.querySelector(`label[for="${CSS.escape(element.id)}"]`) : null;
+        return textOf(byFor) || textOf(element.closest('label'));
+    };
+    const questionOf = (element) => element.getAttribute('aria-label') ||
+        (element.type === 'radio' ? '' : labelOf(element)) ||
+        textOf(element.closest('fieldset, [role="radiogroup"], [role="group"]')?.querySelector('legend, [id$="label"], h2, h3, p')) ||
+        element.placeholder || element.name || '';
+
+    const fields = [];
+    const radioGroups = {};
+    document.querySelectorAll('input, select, textarea').forEach((element, index) => {
+        if (['hidden', 'submit', 'button', 'reset', 'image', 'file'].includes(element.type) || element.disabled || !isVisible(element)) {
+            return;
+        }
+        element.setAttribute('data-bot-field', String(index));
+        const selector = `[data-bot-field="${index}"]`;
+        const required = element.required || element.getAttribute('aria-required') === 'true';
+
+        if (element.type === 'radio') {
+            const group = radioGroups[element.name] || (radioGroups[element.name] = {
+                kind: 'radio', question: questionOf(element), required: false, filled: false, options: []
+            });
+            group.required = group.required || required;
+            group.filled = group.filled || element.checked;
+            group.options.push({ text: labelOf(element) || element.value, selector });
+            if (group.options.length === 1) {
+                fields.push(group);
+            }
+        } else if (element.tagName === 'SELECT') {
+            fields.push({
+                kind: 'select',
+                question: questionOf(element),
+                selector,
+                required,
+                filled: element.selectedIndex > 0 || (element.selectedIndex === 0 && element.value !== '' && !element.options[0].disabled),
+                options: Array.from(element.options).map(option => ({ text: option.text.trim(), value: option.value }))
+            });
+        } else if (element.type === 'checkbox') {
+            fields.push({ kind: 'checkbox', question: questionOf(element), selector, required, filled: element.checked });
+        } else {
+            fields.push({ kind: 'text', question: questionOf(element), selector, required, filled: element.value.trim() !== '' });
+        }
+    });
+    return fields;
+});
+
+// Answer every empty question on the page, returns the required ones that couldn't be answered
+const fillFields = async (session, tab, candidate) => {
+    const unanswered = [];
+
+    for (const field of await readFields(tab)) {
+        if (field.filled) {
+            continue;
+        }
+        const answer = findAnswer(candidate, field.question);
+        if (answer === undefined) {
+            if (field.required) {
+                unanswered.push(field.question || field.selector);
+            }
+            continue;
+        }
+
+        if (field.kind === 'text') {
+            await tab.type(field.selector, String(answer));
+        } else if (field.kind === 'checkbox') {
+            if (answer === true || /^(yes|true)$/i.test(String(answer))) {
+                await tab.click(field.selector);
+            }
+        } else {
+            const option = findOption(field.options, answer);
+            if (!option) {
+                unanswered.push(`${field.question} (no option matching "${answer}")`);
+                continue;
+            }
+            if (field.kind === 'select') {
+                await tab.select(field.selector, option.value);
+            } else {
+                await tab.click(option.selector);
+            }
+        }
+        session.log(`✍️ Answered "${field.question}"`);
+    }
+
+    return unanswered;
+};
+
+// Where the flow stands on the current page: "confirmed", "error", "signIn" or null to keep going
+const detectPageState = async (session, tab) => {
+    if (await findInChain(session, tab, 'applicationConfirmation')) {
+        return 'confirmed';
+    }
+    if (await findInChain(session, tab, 'applicationError')) {
+        return 'error';
+    }
+    if (SIGN_IN_URL.test(tab.url()) || await findInChain(session, tab, 'signInForm')) {
+        return 'signIn';
+    }
+
+    const text = await tab.evaluate(() => document.body?.innerText || '');
+    if (CONFIRMATION_TEXT.test(text)) {
+        return 'confirmed';
+    }
+    return ERROR_TEXT.test(text) ? 'error' : null;
+};
+
+// Selector for the button that moves the application on, or null if there isn't one
+const findNextButton = async (session, tab) => {
+    const selector = await findInChain(session, tab, 'applicationNextButton');
+    if (selector) {
+        return selector;
+    }
+
+    return await tab.evaluate((pattern) => {
+        const matcher = new RegExp(pattern, 'i');
+        const buttons = Array.from(document.querySelectorAll('button, input[type="submit"], a[role="button"]'));
+        const button = buttons.find(item => matcher.test((item.innerText || item.value || '').trim()));
+        if (!button) {
+            return null;
+        }
+        button.setAttribute('data-bot-next-button', 'true');
+        return '[data-bot-next-button="true"]';
+    }, NEXT_BUTTON_TEXT.source);
+};
+
+const fingerprint = (tab) => tab.evaluate(() => `${location.href}|${document.body?.innerText || ''}`);
+
+// Walk the application tab page by page, answering questions from the candidate profile and
+// clicking next, until a confirmation or an error shows up. Returns { completed: true, steps } or
+// { completed: false, failureReason, reason, steps }.
+export const completeApplication = async (session, tab, recorder, candidate) => {
+    let unchangedSteps = 0;
+
+    for (let step = 1; step <= MAX_STEPS; step++) {
+        await pause(session, 3000);
+        const state = await detectPageState(session, tab);
+        if (state === 'confirmed') {
+            session.log(`🎉 Application confirmed after ${step - 1} step(s)`);
+            await recorder.step('application-confirmed', tab);
+            return { completed: true, steps: step - 1 };
+        }
+        if (state) {
+            await recorder.step(`application-${state === 'error' ? 'error' : 'sign-in'}`, tab);
+            return state === 'error'
+                ? { completed: false, failureReason: 'applicationError', reason: 'the application showed an error page', steps: step - 1 }
+                : { completed: false, failureReason: 'signInRequired', reason: 'the application asked to sign in', steps: step - 1 };
+        }
+
+        const unanswered = await fillFields(session, tab, candidate);
+        await recorder.step(`application-step-${step}`, tab);
+        if (unanswered.length > 0) {
+            return { completed: false, failureReason: 'unansweredQuestion', reason: `no answer for: ${unanswered.join('; ')}`, steps: step };
+        }
+
+        const nextButton = await findNextButton(session, tab);
+        if (!nextButton) {
+            return { completed: false, failureReason: 'applicationStuck', reason: 'no next or submit button found', steps: step };
+        }
+
+        const before = await fingerprint(tab);
+        session.log(`➡️ Application step ${step}: clicking ${nextButton}`);
+        const navigation = tab.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 30000 }).catch(() => null);
+        await tab.click(nextButton);
+        // Single-page forms change without navigating, so don't wait the full timeout for one
+        await Promise.race([navigation, pause(session, 5000)]);
+
+        unchangedSteps = (await fingerprint(tab)) === before ? unchangedSteps + 1 : 0;
+        if (unchangedSteps >= MAX_UNCHANGED_STEPS) {
+            await recorder.step('application-stuck', tab);
+            return { completed: false, failureReason: 'applicationStuck', reason: 'the form did not advance after clicking next', steps: step };
+        }
+    }
+
+    return { completed: false, failureReason: 'applicationStuck', reason: `no confirmation after ${MAX_STEPS} steps`, steps: MAX_STEPS };
+};
@@ -0,0 +1,178 @@
+// Every apply attempt walks through these states in order and ends in confirmed or failed.
+// completingApplication is only entered when a candidate profile is there to fill the form in,
+// and dry runs end in observed instead of applying.
+export const APPLY_STATES = ['navigating', 'verifying', 'selectingShift', 'applying', 'completingApplication', 'confirmed', 'observed', 'failed'];
+
+const TRANSITIONS = {
+    navigating: ['verifying', 'failed'],
+    verifying: ['selectingShift', 'failed'],
+    selectingShift: ['applying', 'observed', 'failed'],
+    applying: ['completingApplication', 'confirmed', 'failed'],
+    completingApplication: ['confirmed', 'failed'],
+    confirmed: [],
+    observed: [],
+    failed: []
+};
+
+// Why an attempt can fail and the outcome it's recorded as. Skipped attempts failed because of
+// the job itself (e.g. no acceptable shift) rather than because something went wrong.
+export const FAILURE_REASONS = {
+    jobElementNotFound: 'failed',
+    navigationTimeout: 'failed',
+    detailsPageUnverified: 'failed',
+    shiftSelectionFailed: 'failed',
+    noShiftOptions: 'skipped',
+    noAcceptableShift: 'skipped',
+    applyButtonNotFound: 'failed',
+    applyClickFailed: 'failed',
+    applicationTabNotOpened: 'failed',
+    signInRequired: 'failed',
+    unansweredQuestion: 'failed',
+    applicationStuck: 'failed',
+    applicationError: 'failed',
+    unexpectedError: 'failed'
+};
+
+// What to do after each failure: "retry" tries again straight away, "backoff" tries again on a
+// later cycle once backoffMs (doubled for every further failure, up to MAX_BACKOFF_FACTOR times)
+// has passed, and "giveUp" leaves the job alone for the rest of the session. Retries stop after
+// maxRetries failures in a row.
+export const DEFAULT_RETRY_POLICY = {
+    jobElementNotFound: { action: 'backoff', maxRetries: 3, backoffMs: 60000 },
+    navigationTimeout: { action: 'retry', maxRetries: 2 },
+    detailsPageUnverified: { action: 'backoff', maxRetries: 3, backoffMs: 60000 },
+    shiftSelectionFailed: { action: 'retry', maxRetries: 2 },
+    noShiftOptions: { action: 'backoff', maxRetries: 5, backoffMs: 300000 },
+    noAcceptableShift: { action: 'giveUp' },
+    applyButtonNotFound: { action: 'backoff', maxRetries: 3, backoffMs: 120000 },
+    applyClickFailed: { action: 'retry', maxRetries: 2 },
+    applicationTabNotOpened: { action: 'retry', maxRetries: 1 },
+    // Nothing changes on its own, the profile or candidate answers need fixing first
+    signInRequired: { action: 'giveUp' },
+    unansweredQuestion: { action: 'giveUp' },
+    applicationStuck: { action: 'backoff', maxRetries: 2, backoffMs: 300000 },
+    applicationError: { action: 'backoff', maxRetries: 3, backoffMs: 120000 },
+    unexpectedError: { action: 'backoff', maxRetries: 3, backoffMs: 60000 }
+};
+
+const RETRY_ACTIONS = ['retry', 'backoff', 'giveUp'];
+
+// Backoffs double with every failure, up to this many times the policy's backoffMs
+const MAX_BACKOFF_FACTOR = 16;
+
+// Check the RETRY_POLICY overrides, throws with a readable message if they're wrong
+export const validateRetryPolicy = (policy) => {
+    if (policy === undefined) {
+        return {};
+    }
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new Error('retryPolicy must be an object');
+    }
+
+    for (const [reason, rule] of Object.entries(policy)) {
+        const label = `retryPolicy.${reason}`;
+        if (!FAILURE_REASONS[reason]) {
+            throw new Error(`Unknown failure reason "${reason}", expected one of: ${Object.keys(FAILURE_REASONS).join(', ')}`);
+        }
+        if (!rule || typeof rule !== 'object' || !RETRY_ACTIONS.includes(rule.action)) {
+            throw new Error(`${label}.action must be one of: ${RETRY_ACTIONS.join(', ')}`);
+        }
+        ['maxRetries', 'backoffMs'].forEach(field => {
+            if (rule[field] !== undefined && (typeof rule[field] !== 'number' || !isFinite(rule[field]) || rule[field] < 0)) {
+                throw new Error(`${label}.${field} must be a non-negative number`);
+            }
+        });
+        if (rule.action === 'backoff' && rule.backoffMs === undefined) {
+            throw new Error(`${label}.backoffMs is required for the backoff action`);
+        }
+    }
+
+    return policy;
+};
+
+// Track one apply attempt through its states. Every change is logged and kept in transitions,
+// and confirm/fail return the attempt result.
+export const createApplyAttempt = (session, job) => {
+    const transitions = [];
+    const attempt = { state: null, transitions };
+
+    const enter = (state, reason = null) => {
+        if (attempt.state && !TRANSITIONS[attempt.state].includes(state)) {
+            throw new Error(`Invalid apply state change ${attempt.state} → ${state}`);
+        }
+        attempt.state = state;
+        transitions.push({ state, at: new Date().toISOString(), ...(reason ? { reason } : {}) });
+        session.log(`🔀 Apply state: ${state}${reason ? ` (${reason})` : ''}`);
+    };
+
+    // Move to the next step of the flow
+    attempt.enter = (state) => enter(state);
+
+    // End the attempt successfully, details are added to the result (e.g. the chosen shift)
+    attempt.confirm = (details = {}) => {
+        enter('confirmed');
+        return { outcome: 'applied', state: 'confirmed', failureReason: null, reason: null, transitions, ...details };
+    };
+
+    // End a dry run just before the apply click, details say what would have been applied to
+    attempt.observe = (details = {}) => {
+        enter('observed');
+        return { outcome: 'observed', state: 'observed', failureReason: null, reason: null, transitions, ...details };
+    };
+
+    // End the attempt with a typed failure reason and a readable message
+    attempt.fail = (failureReason, message, details = {}) => {
+        const reason = FAILURE_REASONS[failureReason] ? failureReason : 'unexpectedError';
+        const failedIn = attempt.state;
+        enter('failed', reason);
+        return { outcome: FAILURE_REASONS[reason], state: 'failed', failureReason: reason, failedIn, reason: message, transitions, ...details };
+    };
+
+    return attempt;
+};
+
+// Apply the retry policy to a session's jobs. record() decides what happens after each attempt
+// and check() says whether a job may be attempted now.
+export const createRetryTracker = (overrides = {}) => {
+    const policy = { ...DEFAULT_RETRY_POLICY, ...overrides };
+    const jobs = new Map();
+
+    return {
+        // Returns null if the job can be attempted, otherwise why it's being held back
+        check: (jobId, now = Date.now()) => {
+            const entry = jobs.get(jobId);
+            if (!entry) {
+                return null;
+            }
+            if (entry.action === 'giveUp') {
+                return `gave up after ${entry.failures} failure(s) (${entry.failureReason})`;
+            }
+            if (entry.action === 'backoff' && new Date(entry.retryAt).getTime() > now) {
+                return `backing off until ${new Date(entry.retryAt).toLocaleTimeString()} (${entry.failureReason})`;
+            }
+            return null;
+        },
+
+        // Record an attempt result, returns { action, retryAt } with action "done" on success
+        record: (job, result, now = Date.now()) => {
+            if (result.outcome === 'applied' || result.outcome === 'observed') {
+                jobs.delete(job.id);
+                return { action: 'done', retryAt: null };
+            }
+
+            const previous = jobs.get(job.id);
+            const failures = (previous?.failures || 0) + 1;
+            const rule = policy[result.failureReason] || policy.unexpectedError;
+            const action = rule.action === 'giveUp' || failures > (rule.maxRetries ?? 0) ? 'giveUp' : rule.action;
+            const retryAt = action === 'backoff'
+                ? new Date(now + rule.backoffMs * Math.min(2 ** (failures - 1), MAX_BACKOFF_FACTOR)).toISOString()
+                : null;
+
+            jobs.set(job.id, { jobId: job.id, title: job.title, failures, failureReason: result.failureReason, action, retryAt });
+            return { action, retryAt };
+        },
+
+        // Jobs currently held back or given up on, for /status
+        report: () => Array.from(jobs.values())
+    };
+};
@@ -0,0 +1,176 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Each apply attempt gets a folder named "<timestamp>-<sessionId>" holding a screenshot and the
+// HTML of every step plus attempt.json describing the steps, the URL trail and the outcome.
+const ATTEMPT_FILE = 'attempt.json';
+const ID_PATTERN = /^\d+-[\w-]+$/;
+
+const readAttempt = async (dir, id) => {
+    try {
+        return JSON.parse(await fs.readFile(path.join(dir, id, ATTEMPT_FILE), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Could not read artifacts ${id}: ${error.message}`);
+    }
+};
+
+// Start recording an apply attempt. Capturing never throws - a failed screenshot is noted in the
+// step instead, so artifacts can't break an application.
+export const createAttemptRecorder = async (session, page, job) => {
+    const id = `${Date.now()}-${session.id}`;
+    const dir = path.join(session.config.ARTIFACTS_DIR, id);
+    const startedAt = new Date().toISOString();
+    const steps = [];
+    const urls = [page.url()];
+
+    await fs.mkdir(dir, { recursive: true }).catch(error => session.error(`Could not create artifacts folder: ${error.message}`));
+
+    // Keep every page the main frame of each followed tab visits, including redirects between steps
+    const followed = [];
+    const follow = (tab) => {
+        const onNavigate = (frame) => {
+            if (frame === tab.mainFrame() && urls[urls.length - 1] !== frame.url()) {
+                urls.push(frame.url());
+            }
+        };
+        tab.on('framenavigated', onNavigate);
+        followed.push(() => tab.off('framenavigated', onNavigate));
+    };
+    follow(page);
+
+    const capture = async (tab, name) => {
+        const base = `${String(steps.length + 1).padStart(2, '0')}-${name}`;
+        const step = { name, at: new Date().toISOString(), url: tab.url() };
+        try {
+            await tab.screenshot({ path: path.join(dir, `${base}.png`), fullPage: true });
+            step.screenshot = `${base}.png`;
+            await fs.writeFile(path.join(dir, `${base}.html`), await tab.content());
+            step.html = `${base}.html`;
+        } catch (error) {
+            step.error = error.message;
+        }
+        steps.push(step);
+    };
+
+    return {
+        id,
+        dir,
+
+        // Screenshot and save the page as it is now
+        step: (name, tab = page) => capture(tab, name),
+
+        // Add another tab's pages to the URL trail, e.g. the application the apply button opened
+        follow: (tab) => {
+            if (urls[urls.length - 1] !== tab.url()) {
+                urls.push(tab.url());
+            }
+            follow(tab);
+        },
+
+        // Capture every other open tab, e.g. the application form the apply button opened
+        captureTabs: async (browser) => {
+            const tabs = (await browser.pages()).filter(tab => tab !== page && tab.url() !== 'about:blank');
+            for (const [index, tab] of tabs.entries()) {
+                await capture(tab, `tab-${index + 1}`);
+            }
+        },
+
+        // Write attempt.json with the outcome, returns the attempt ID or null if it couldn't be saved
+        finish: async (result) => {
+            followed.forEach(unfollow => unfollow());
+            try {
+                await fs.writeFile(path.join(dir, ATTEMPT_FILE), JSON.stringify({
+                    id,
+                    sessionId: session.id,
+                    startedAt,
+                    finishedAt: new Date().toISOString(),
+                    job,
+                    outcome: result.outcome,
+                    state: result.state ?? null,
+                    failureReason: result.failureReason ?? null,
+                    reason: result.reason ?? null,
+                    completed: result.completed ?? null,
+                    transitions: result.transitions ?? [],
+                    shift: result.shift ?? null,
+                    decision: result.decision ?? null,
+                    urls,
+                    steps
+                }, null, 2));
+                return id;
+            } catch (error) {
+                session.error(`Could not save apply artifacts: ${error.message}`);
+                return null;
+            }
+        }
+    };
+};
+
+// Attempt folder names, newest first
+const listIds = async (dir) => {
+    try {
+        return (await fs.readdir(dir, { withFileTypes: true }))
+            .filter(entry => entry.isDirectory() && ID_PATTERN.test(entry.name))
+            .map(entry => entry.name)
+            .sort((a, b) => parseInt(b, 10) - parseInt(a, 10));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return [];
+    }
+};
+
+// List recorded attempts newest first, without their steps
+export const listArtifacts = async (dir, { sessionId, outcome, limit = 50, offset = 0 } = {}) => {
+    const ids = await listIds(dir);
+    const attempts = (await Promise.all(ids.map(id => readAttempt(dir, id))))
+        .filter(Boolean)
+        .filter(attempt => !sessionId || attempt.sessionId === sessionId)
+        .filter(attempt => !outcome || attempt.outcome === outcome);
+
+    return {
+        total: attempts.length,
+        artifacts: attempts.slice(offset, offset + limit).map(({ steps, ...attempt }) => ({
+            ...attempt,
+            stepCount: steps.length,
+            // Screenshot of the last step that has one, used as the gallery thumbnail
+            thumbnail: [...steps].reverse().find(step => step.screenshot)?.screenshot || null
+        }))
+    };
+};
+
+// A single attempt with its steps, or null if the ID is unknown
+export const getArtifact = async (dir, id) => ID_PATTERN.test(id) ? readAttempt(dir, id) : null;
+
+// Absolute path of a file inside an attempt folder, or null if the name tries to leave it
+export const resolveArtifactFile = (dir, id, file) => {
+    if (!ID_PATTERN.test(id) || path.basename(file) !== file) {
+        return null;
+    }
+    return path.join(dir, id, file);
+};
+
+// Remove an attempt folder, returns false if the ID is unknown
+export const deleteArtifact = async (dir, id) => {
+    if (!(await getArtifact(dir, id))) {
+        return false;
+    }
+    await fs.rm(path.join(dir, id), { recursive: true, force: true });
+    return true;
+};
+
+// Delete attempts older than maxAgeDays and all but the newest maxCount, returns the removed IDs.
+// Folders left without attempt.json by a crash are cleaned up the same way.
+export const cleanupArtifacts = async (dir, { maxAgeDays, maxCount }) => {
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const expired = (await listIds(dir))
+        .filter((id, index) => index >= maxCount || parseInt(id, 10) < cutoff);
+
+    for (const id of expired) {
+        await fs.rm(path.join(dir, id), { recursive: true, force: true });
+    }
+    return expired;
+};
@@ -0,0 +1,87 @@
+import { randomBytes, createHash, timingSafeEqual } from 'crypto';
+import { getConfig } from './config.js';
+
+// Dashboard logins get a random token that expires, API_TOKEN is a long-lived token for scripts
+const loginTokens = new Map();
+let generatedToken = null;
+
+// Compare secrets without leaking how much of them matched
+const secretsMatch = (given, expected) => {
+    if (typeof given !== 'string' || typeof expected !== 'string') {
+        return false;
+    }
+    const digest = (value) => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(given), digest(expected));
+};
+
+// The API token in use. Without API_TOKEN or AUTH_PASSWORD configured one is generated at startup
+// and printed, so the API is never left open.
+const apiToken = () => {
+    const { API_TOKEN, AUTH_PASSWORD } = getConfig();
+    if (API_TOKEN || AUTH_PASSWORD) {
+        return API_TOKEN;
+    }
+    if (!generatedToken) {
+        generatedToken = randomBytes(24).toString('hex');
+        // Printed rather than logged so it never ends up in the log file or the WebSocket stream
+        process.stdout.write(`🔑 No API_TOKEN or AUTH_PASSWORD configured, use this token to log in: ${generatedToken}\n`);
+    }
+    return generatedToken;
+};
+
+// Check the password (or the API token) and start a login, returns the token or null
+export const login = (password) => {
+    const { AUTH_PASSWORD, AUTH_TOKEN_TTL_HOURS } = getConfig();
+    if (!secretsMatch(password, AUTH_PASSWORD) && !secretsMatch(password, apiToken())) {
+        return null;
+    }
+
+    const token = randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + AUTH_TOKEN_TTL_HOURS * 60 * 60 * 1000;
+    loginTokens.set(token, expiresAt);
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+};
+
+export const logout = (token) => loginTokens.delete(token);
+
+export const isValidToken = (token) => {
+    if (!token) {
+        return false;
+    }
+    if (secretsMatch(token, apiToken())) {
+        return true;
+    }
+
+    const expiresAt = loginTokens.get(token);
+    if (expiresAt && expiresAt < Date.now()) {
+        loginTokens.delete(token);
+        return false;
+    }
+    return !!expiresAt;
+};
+
+// Token from an "Authorization: Bearer" header, or a ?token= query parameter for WebSocket
+// upgrades and <img> links, which can't set headers
+export const getRequestToken = (req) => {
+    const header = req.headers.authorization;
+    if (header?.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+};
+
+// Express middleware rejecting requests without a valid token
+export const requireAuth = (req, res, next) => {
+    if (!isValidToken(getRequestToken(req))) {
+        return res.status(401).json({ message: 'Authentication required' });
+    }
+    next();
+};
+
+// Browsers send an Origin header, other clients don't and are only checked by token
+export const isAllowedOrigin = (origin) => !origin || getConfig().CORS_ORIGINS.includes(origin);
+
+// Log the generated token at startup when nothing is configured
+export const initAuth = () => {
+    apiToken();
+};
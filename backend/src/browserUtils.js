@@ -1,21 +1,163 @@
 import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import puppeteer from 'puppeteer';
 
-export const findChromePath = async () => {
-    const commonPaths = [
-        'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-        'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
-        process.env.LOCALAPPDATA + '\\Google\\Chrome\\Application\\chrome.exe',
-        'C:\\Users\\' + process.env.USERNAME + '\\AppData\\Local\\Google\\Chrome\\Application\\chrome.exe'
-    ];
-
-    for (const path of commonPaths) {
-        try {
-            await fs.access(path);
-            return path;
-        } catch {
+// Install locations of Chrome, Chromium and Edge, checked in order
+const BROWSER_PATHS = {
+    win32: () => {
+        const localAppData = process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local');
+        return [
+            'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+            'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
+            path.win32.join(localAppData, 'Google', 'Chrome', 'Application', 'chrome.exe'),
+            'C:\\Program Files (x86)\\Microsoft\\Edge\\Application\\msedge.exe',
+            'C:\\Program Files\\Microsoft\\Edge\\Application\\msedge.exe'
+        ];
+    },
+    darwin: () => [
+        '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+        path.join(os.homedir(), 'Applications', 'Google Chrome.app', 'Contents', 'MacOS', 'Google Chrome'),
+        '/Applications/Chromium.app/Contents/MacOS/Chromium',
+        '/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge'
+    ],
+    linux: () => [
+        '/usr/bin/google-chrome',
+        '/usr/bin/google-chrome-stable',
+        '/opt/google/chrome/chrome',
+        '/usr/bin/chromium',
+        '/usr/bin/chromium-browser',
+        '/snap/bin/chromium',
+        '/usr/bin/microsoft-edge',
+        '/usr/bin/microsoft-edge-stable'
+    ]
+};
+
+// Executable names looked up on the PATH when none of the usual locations exist
+const BROWSER_COMMANDS = ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser', 'microsoft-edge'];
+
+const exists = async (filePath) => {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const findOnPath = async () => {
+    const directories = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    for (const directory of directories) {
+        for (const command of BROWSER_COMMANDS) {
+            const candidate = path.join(directory, command);
+            if (await exists(candidate)) {
+                return candidate;
+            }
+        }
+    }
+    return null;
+};
+
+// Find a browser to run. An explicit path (CHROME_PATH) must exist, otherwise the installed
+// Chrome, Chromium or Edge is used, then the Chromium that Puppeteer downloaded.
+export const findChromePath = async (chromePath = null) => {
+    if (chromePath) {
+        if (!(await exists(chromePath))) {
+            throw new Error(`CHROME_PATH ${chromePath} does not exist`);
+        }
+        return chromePath;
+    }
+
+    const candidates = (BROWSER_PATHS[process.platform] || BROWSER_PATHS.linux)();
+    for (const candidate of candidates) {
+        if (await exists(candidate)) {
+            return candidate;
+        }
+    }
+
+    if (process.platform !== 'win32') {
+        const found = await findOnPath();
+        if (found) {
+            return found;
+        }
+    }
+
+    // Skipped downloads (PUPPETEER_SKIP_DOWNLOAD) leave a path that doesn't exist
+    const bundled = puppeteer.executablePath();
+    if (bundled && await exists(bundled)) {
+        return bundled;
+    }
+
+    throw new Error('Chrome not found! Install Chrome, Chromium or Edge, run "npx puppeteer browsers install chrome", or set CHROME_PATH.');
+};
+
+// Where Chrome keeps its profiles on each platform
+export const getDefaultUserDataDir = (platform = process.platform) => {
+    if (platform === 'win32') {
+        const localAppData = process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local');
+        return path.win32.join(localAppData, 'Google', 'Chrome', 'User Data');
+    }
+    if (platform === 'darwin') {
+        return path.join(os.homedir(), 'Library', 'Application Support', 'Google', 'Chrome');
+    }
+    return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'google-chrome');
+};
+
+// Chrome runs a single browser per user-data directory and hands any second launch over to it,
+// so every session claims a directory of its own. Directory -> { sessionId, temporary }.
+const userDataDirs = new Map();
+
+// Caches are rebuilt by Chrome, copying them only slows the first launch down
+const SKIPPED_PROFILE_FOLDERS = ['Cache', 'Code Cache', 'GPUCache', 'DawnCache', 'GrShaderCache', 'ShaderCache', 'Service Worker'];
+
+// Copy a profile and the Local State it needs (it holds the key cookies are encrypted with)
+const copyProfile = async (userDataDir, profile, target) => {
+    const source = path.join(userDataDir, profile);
+    if (!(await exists(source))) {
+        return false;
+    }
+    await fs.mkdir(target, { recursive: true });
+    if (await exists(path.join(userDataDir, 'Local State'))) {
+        await fs.copyFile(path.join(userDataDir, 'Local State'), path.join(target, 'Local State'));
+    }
+    await fs.cp(source, path.join(target, profile), {
+        recursive: true,
+        filter: (item) => !SKIPPED_PROFILE_FOLDERS.includes(path.basename(item))
+    });
+    return true;
+};
+
+// Claim a user-data directory for a session's browser. Headless sessions use a bot-owned profile
+// in BOT_PROFILE_DIR, headed ones a copy of the Chrome profile made there on first use (delete it
+// to copy the profile again). A directory already claimed by another session, e.g. when two
+// sessions share a profile, is replaced by a temporary one removed again on release.
+export const claimUserDataDir = async (session, profile) => {
+    const { config } = session;
+    await releaseUserDataDir(session);
+
+    const name = profile.replace(/[^\w .-]/g, '_');
+    const base = config.HEADLESS ? path.join(config.BOT_PROFILE_DIR, name) : path.join(config.BOT_PROFILE_DIR, 'copies', name);
+    const temporary = userDataDirs.has(base);
+    const dir = temporary ? `${base}-${session.id}` : base;
+    userDataDirs.set(dir, { sessionId: session.id, temporary });
+
+    if (!config.HEADLESS && config.USER_DATA_DIR && !(await exists(path.join(dir, profile)))) {
+        if (await copyProfile(config.USER_DATA_DIR, profile, dir)) {
+            session.log(`📋 Copied Chrome profile ${profile} to ${dir}`);
+        }
+    }
+    return dir;
+};
+
+// Give up a session's user-data directory once its browser is closed
+export const releaseUserDataDir = async (session) => {
+    for (const [dir, claim] of Array.from(userDataDirs)) {
+        if (claim.sessionId !== session.id) {
             continue;
         }
+        userDataDirs.delete(dir);
+        if (claim.temporary) {
+            await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+        }
     }
-    
-    throw new Error('Chrome not found! Please install Chrome or provide the correct path.');
 };
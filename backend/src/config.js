@@ -1,19 +1,268 @@
+import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { compileRules } from './jobMatcher.js';
+import { validateShiftPreferences } from './shiftPreferences.js';
+import { validateSchedule } from './scheduler.js';
+import { validateRetryPolicy } from './applyAttempt.js';
+import { DEFAULT_SELECTOR_PROFILE } from './selectors.js';
+import { getDefaultUserDataDir } from './browserUtils.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-export const CONFIG = {
-    AMAZON_JOBS_URL: "https://hiring.amazon.com/app#/jobSearch",
-    TARGET_JOBS: [
-        "Delivery Station Warehouse Associate",
-        "Fulfilment Station Warehouse Associate"
-    ],
-    USER_DATA_DIR: path.join(process.env.LOCALAPPDATA, 'Google', 'Chrome', 'User Data'),
-    CHROME_PROFILES: [
-        "Profile 11",
-        "Profile 12", 
-        "Profile 13"        
-    ],
-    REFRESH_INTERVAL: 30000
-};
\ No newline at end of file
+// Looked for in this order when CONFIG_FILE isn't set, changes are saved to the first one
+const DEFAULT_CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml']
+    .map(name => path.join(__dirname, '..', name));
+
+// Every config field, its type and default. Any field can be overridden by an environment
+// variable of the same name: lists are comma-separated and objects are JSON.
+const CONFIG_FIELDS = {
+    JOB_LINKS: { type: 'string[]', default: [] },
+    TARGET_JOBS: { type: 'string[]', default: [] },
+    MATCH_RULES: { type: 'object[]', default: [] },
+    SHIFT_PREFERENCES: { type: 'object', default: {}, validate: validateShiftPreferences },
+    SCHEDULE: { type: 'object', nullable: true, default: null, validate: validateSchedule },
+    // Per failure reason overrides of the apply retry policy, see DEFAULT_RETRY_POLICY
+    RETRY_POLICY: { type: 'object', default: {}, validate: validateRetryPolicy },
+    USER_DATA_DIR: { type: 'string', nullable: true, default: getDefaultUserDataDir() },
+    CHROME_PROFILES: { type: 'string[]', default: ['Profile 11', 'Profile 12', 'Default'], minLength: 1 },
+    CHROME_PATH: { type: 'string', nullable: true, default: null },
+    DRY_RUN: { type: 'boolean', default: false },    // Stop just before clicking apply and report what would have been applied to
+    HEADLESS: { type: 'boolean', default: false },    // Run without a window, using bot-owned profiles in BOT_PROFILE_DIR
+    BOT_PROFILE_DIR: { type: 'string', default: path.join(__dirname, '..', 'data', 'profiles') },    // Headless profiles, and the copies of Chrome profiles headed sessions run on
+    ARTIFACTS_DIR: { type: 'string', default: path.join(__dirname, '..', 'data', 'artifacts') },
+    ARTIFACTS_RETENTION_DAYS: { type: 'number', default: 14, min: 1 },    // Below a day the hourly cleanup would delete attempts as they're captured
+    ARTIFACTS_MAX_COUNT: { type: 'number', default: 500, min: 1 },
+    REFRESH_INTERVAL: { type: 'number', default: 30000, min: 1000 },
+    DELAY_SCALE: { type: 'number', default: 1, min: 0 },
+    SELECTOR_PROFILE: { type: 'string', default: DEFAULT_SELECTOR_PROFILE },
+    // Answers used to fill in application forms, without the file applications are finished by hand
+    CANDIDATE_FILE: { type: 'string', default: path.join(__dirname, '..', 'candidate.json') },
+    // A cycle running longer than this counts as hung and the browser is relaunched
+    HUNG_CYCLE_MINUTES: { type: 'number', default: 10, min: 1 },
+    // Browser relaunches allowed within the window before the session gives up
+    BROWSER_RESTART_BUDGET: { type: 'number', default: 5, min: 0 },
+    BROWSER_RESTART_WINDOW_MINUTES: { type: 'number', default: 60, min: 1 },
+    // How long a failing profile is left alone before it's picked again, doubled for repeated failures
+    PROFILE_COOLDOWN_MINUTES: { type: 'number', default: 15, min: 0 },
+    API_TOKEN: { type: 'string', nullable: true, default: null, secret: true },
+    AUTH_PASSWORD: { type: 'string', nullable: true, default: null, secret: true },
+    AUTH_TOKEN_TTL_HOURS: { type: 'number', default: 12, min: 0.1 },
+    // Dashboard origins allowed to call the API, the defaults are Vite's dev and preview servers
+    CORS_ORIGINS: {
+        type: 'string[]',
+        default: ['http://localhost:5173', 'http://127.0.0.1:5173', 'http://localhost:4173', 'http://127.0.0.1:4173']
+    }
+};
+
+// Shown instead of secret values, and ignored when sent back in an update
+export const REDACTED = '********';
+
+// Request body fields that /start and /sessions accept, and the config field each one overrides
+export const REQUEST_FIELDS = {
+    links: 'JOB_LINKS',
+    positions: 'TARGET_JOBS',
+    rules: 'MATCH_RULES',
+    shiftPreferences: 'SHIFT_PREFERENCES',
+    schedule: 'SCHEDULE',
+    retryPolicy: 'RETRY_POLICY',
+    profiles: 'CHROME_PROFILES',
+    refreshInterval: 'REFRESH_INTERVAL',
+    headless: 'HEADLESS',
+    dryRun: 'DRY_RUN'
+};
+
+let configPath = null;
+let fileConfig = {};
+let envConfig = {};
+let config = null;
+
+const hasType = (value, type) => {
+    if (type.endsWith('[]')) {
+        return Array.isArray(value) && value.every(item => hasType(item, type.slice(0, -2)));
+    }
+    if (type === 'object') {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    return typeof value === type && (type !== 'number' || isFinite(value));
+};
+
+const describeType = (type) => type.endsWith('[]') ? `an array of ${type.slice(0, -2)}s` : `a ${type}`;
+
+// Check one field, label is the name shown in error messages
+const validateField = (key, value, label) => {
+    const field = CONFIG_FIELDS[key];
+
+    if (value === null && field.nullable) {
+        return null;
+    }
+    if (!hasType(value, field.type)) {
+        throw new Error(`${label} must be ${describeType(field.type)}${field.nullable ? ' or null' : ''}`);
+    }
+    if (field.min !== undefined && value < field.min) {
+        throw new Error(`${label} must be at least ${field.min}`);
+    }
+    if (field.minLength !== undefined && value.length < field.minLength) {
+        throw new Error(`${label} must have at least ${field.minLength} item(s)`);
+    }
+    if (field.type === 'string[]') {
+        return value.map(item => item.trim()).filter(item => item.length > 0);
+    }
+
+    return field.validate ? field.validate(value) : value;
+};
+
+const checkKnownFields = (values, source) => {
+    const unknown = Object.keys(values).filter(key => !CONFIG_FIELDS[key]);
+    if (unknown.length > 0) {
+        throw new Error(`${source} has unknown field(s) ${unknown.join(', ')}, expected: ${Object.keys(CONFIG_FIELDS).join(', ')}`);
+    }
+};
+
+// Validate a complete config, labels maps field names to the names shown in error messages
+export const validateConfig = (values, labels = {}) => {
+    checkKnownFields(values, 'Config');
+
+    const validated = {};
+    for (const key of Object.keys(CONFIG_FIELDS)) {
+        validated[key] = validateField(key, values[key], labels[key] || key);
+    }
+
+    // Compile once so invalid rules are rejected before any session uses them
+    compileRules(validated.TARGET_JOBS, validated.MATCH_RULES);
+    return validated;
+};
+
+const parseEnvValue = (key, raw) => {
+    const { type } = CONFIG_FIELDS[key];
+
+    if (type === 'number') {
+        return raw.trim() === '' ? NaN : Number(raw);
+    }
+    if (type === 'boolean') {
+        return /^(true|1|yes)$/i.test(raw.trim());
+    }
+    if (type === 'string[]') {
+        return raw.split(',');
+    }
+    if (type === 'string') {
+        return raw;
+    }
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Environment variable ${key} must be JSON: ${error.message}`);
+    }
+};
+
+const readEnvOverrides = () => Object.fromEntries(Object.keys(CONFIG_FIELDS)
+    .filter(key => process.env[key] !== undefined)
+    .map(key => [key, parseEnvValue(key, process.env[key])]));
+
+const defaults = () => Object.fromEntries(Object.entries(CONFIG_FIELDS).map(([key, field]) => [key, field.default]));
+
+const isYaml = (filePath) => /\.ya?ml$/i.test(filePath);
+
+const findConfigFile = async () => {
+    if (process.env.CONFIG_FILE) {
+        return process.env.CONFIG_FILE;
+    }
+
+    for (const candidate of DEFAULT_CONFIG_FILES) {
+        try {
+            await fs.access(candidate);
+            return candidate;
+        } catch {
+            continue;
+        }
+    }
+    return DEFAULT_CONFIG_FILES[0];
+};
+
+// Read the config file and environment overrides, a missing file just means defaults
+export const loadConfig = async () => {
+    configPath = await findConfigFile();
+
+    let values = {};
+    try {
+        const text = await fs.readFile(configPath, 'utf8');
+        values = (isYaml(configPath) ? YAML.parse(text) : JSON.parse(text)) || {};
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Could not read config file ${configPath}: ${error.message}`);
+        }
+    }
+
+    if (!hasType(values, 'object')) {
+        throw new Error(`Config file ${configPath} must contain an object`);
+    }
+    checkKnownFields(values, `Config file ${configPath}`);
+
+    envConfig = readEnvOverrides();
+    config = validateConfig({ ...defaults(), ...values, ...envConfig });
+    fileConfig = values;
+    return config;
+};
+
+// Current config, environment variables win over the file
+export const getConfig = () => {
+    if (!config) {
+        throw new Error('Config has not been loaded yet');
+    }
+    return config;
+};
+
+export const getConfigPath = () => configPath;
+
+// Copy of a config with secrets hidden, for API responses and session snapshots
+export const redactConfig = (values) => Object.fromEntries(Object.entries(values).map(([key, value]) => [
+    key,
+    CONFIG_FIELDS[key]?.secret && value ? REDACTED : value
+]));
+
+// Fields whose file value is currently hidden by an environment variable
+export const getEnvOverrides = () => Object.keys(envConfig);
+
+// Merge changes into the config file and save it, only new sessions pick up the changes
+export const updateConfig = async (changes) => {
+    if (!hasType(changes, 'object')) {
+        throw new Error('Config changes must be an object');
+    }
+    checkKnownFields(changes, 'Config changes');
+
+    // A redacted secret sent back unchanged keeps its current value
+    const values = { ...fileConfig };
+    Object.entries(changes)
+        .filter(([key, value]) => !(CONFIG_FIELDS[key].secret && value === REDACTED))
+        .forEach(([key, value]) => {
+            values[key] = value;
+        });
+    const updated = validateConfig({ ...defaults(), ...values, ...envConfig });
+
+    const text = isYaml(configPath) ? YAML.stringify(values) : JSON.stringify(values, null, 2);
+    const tempPath = `${configPath}.tmp`;
+    await fs.mkdir(path.dirname(configPath), { recursive: true });
+    await fs.writeFile(tempPath, text);
+    await fs.rename(tempPath, configPath);
+
+    fileConfig = values;
+    config = updated;
+    return config;
+};
+
+// Config for new sessions, with the request body fields that were given overriding the current config
+export const configFromRequest = (body = {}) => {
+    const overrides = {};
+    const labels = {};
+
+    for (const [bodyField, key] of Object.entries(REQUEST_FIELDS)) {
+        labels[key] = bodyField;
+        if (body[bodyField] !== undefined) {
+            overrides[key] = body[bodyField];
+        }
+    }
+
+    return validateConfig({ ...getConfig(), ...overrides }, labels);
+};
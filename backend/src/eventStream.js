@@ -0,0 +1,68 @@
+import { randomUUID } from 'crypto';
+
+// Versioned message protocol for the /ws channel. Every message looks like
+// { v, seq, type, time, sessionId, data } so clients can switch on type and spot gaps in seq.
+export const PROTOCOL_VERSION = 1;
+
+// Changes every time the server starts, seq numbers are only comparable within one stream
+export const STREAM_ID = randomUUID();
+
+// Session events and the message type each one is sent as
+export const SESSION_EVENT_TYPES = {
+    statusChanged: 'status.changed',
+    cycleStarted: 'cycle.started',
+    cycleFinished: 'cycle.finished',
+    jobsScraped: 'jobs.scraped',
+    jobMatched: 'job.matched',
+    applyResult: 'apply.result',
+    applyCompleted: 'apply.completed',
+    applyObserved: 'apply.observed',
+    browserFailed: 'browser.failed',
+    browserRestarted: 'browser.restarted',
+    sessionDeleted: 'session.deleted',
+    monitorError: 'error',
+    monitorCrashed: 'error'
+};
+
+const DEFAULT_HISTORY_SIZE = 200;
+
+const history = [];
+const listeners = new Set();
+let nextSeq = 1;
+
+const historySize = () => Number(process.env.WS_HISTORY_SIZE) || DEFAULT_HISTORY_SIZE;
+
+// Build a protocol message without recording it, used for per-client messages like the welcome
+export const createMessage = (type, data = {}, sessionId = null) => ({
+    v: PROTOCOL_VERSION,
+    seq: null,
+    type,
+    time: new Date().toISOString(),
+    sessionId,
+    data
+});
+
+// Record a message in the replay history and pass it to every listener
+export const publish = (type, data = {}, sessionId = null) => {
+    const message = { ...createMessage(type, data, sessionId), seq: nextSeq++ };
+
+    history.push(message);
+    if (history.length > historySize()) {
+        history.splice(0, history.length - historySize());
+    }
+
+    listeners.forEach(listener => listener(message));
+    return message;
+};
+
+// seq of the latest published message, a snapshot taken now reflects everything up to it
+export const getLastSeq = () => nextSeq - 1;
+
+// The most recent messages, oldest first
+export const getHistory = (limit = historySize()) => history.slice(-limit);
+
+// Call a function with every published message, returns a function that stops listening
+export const onMessage = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
@@ -0,0 +1,159 @@
+// Rule fields and the type each one expects
+const RULE_TYPES = {
+    name: 'string',
+    priority: 'number',
+    contains: 'string',        // Title contains this phrase
+    include: 'string[]',       // Title contains every one of these keywords
+    exclude: 'string[]',       // Title contains none of these keywords
+    pattern: 'string',         // Title matches this regular expression (case-insensitive)
+    similarTo: 'string',       // Title is similar to this one...
+    threshold: 'number',       // ...with at least this similarity from 0 to 1 (default 0.8)
+    location: 'string',        // Location contains this text
+    maxDistance: 'number',     // At most this many miles away
+    minPay: 'number',          // Pays at least this much per hour
+    jobTypes: 'string[]'       // Job type is one of these, e.g. "Full Time", "Flex Time"
+};
+
+const DEFAULT_SIMILARITY_THRESHOLD = 0.8;
+
+const hasType = (value, type) => type === 'string[]'
+    ? Array.isArray(value) && value.every(item => typeof item === 'string')
+    : typeof value === type && (type !== 'number' || isFinite(value));
+
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Character bigrams of a string, used for fuzzy title similarity
+const bigrams = (text) => {
+    const compact = normalize(text).replace(/[^a-z0-9 ]/g, '');
+    const pairs = [];
+    for (let i = 0; i < compact.length - 1; i++) {
+        pairs.push(compact.slice(i, i + 2));
+    }
+    return pairs;
+};
+
+// Dice coefficient of two strings' bigrams, 1 means identical
+export const titleSimilarity = (a, b) => {
+    const left = bigrams(a);
+    const right = bigrams(b);
+    if (left.length === 0 || right.length === 0) {
+        return normalize(a) === normalize(b) ? 1 : 0;
+    }
+
+    const counts = new Map();
+    left.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+
+    let shared = 0;
+    right.forEach(pair => {
+        if (counts.get(pair) > 0) {
+            counts.set(pair, counts.get(pair) - 1);
+            shared++;
+        }
+    });
+
+    return (2 * shared) / (left.length + right.length);
+};
+
+// Validate one rule and precompile its pattern, label is used in error messages
+const compileRule = (rule, label) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error(`${label} must be an object`);
+    }
+
+    for (const [key, value] of Object.entries(rule)) {
+        if (!RULE_TYPES[key]) {
+            throw new Error(`${label} has unknown field "${key}", expected one of: ${Object.keys(RULE_TYPES).join(', ')}`);
+        }
+        if (!hasType(value, RULE_TYPES[key])) {
+            throw new Error(`${label} field "${key}" must be a ${RULE_TYPES[key].replace('[]', ' array')}`);
+        }
+    }
+
+    const { include = [], exclude = [], pattern, similarTo, threshold = DEFAULT_SIMILARITY_THRESHOLD } = rule;
+    if (!rule.contains && include.length === 0 && !pattern && !similarTo) {
+        throw new Error(`${label} needs at least one title condition (contains, include, pattern or similarTo)`);
+    }
+    if (threshold < 0 || threshold > 1) {
+        throw new Error(`${label} threshold must be between 0 and 1`);
+    }
+
+    let regex = null;
+    if (pattern) {
+        try {
+            regex = new RegExp(pattern, 'i');
+        } catch (error) {
+            throw new Error(`${label} has an invalid pattern: ${error.message}`);
+        }
+    }
+
+    return {
+        ...rule,
+        name: rule.name || rule.contains || pattern || similarTo || label,
+        priority: rule.priority ?? 0,
+        include: include.map(normalize),
+        exclude: exclude.map(normalize),
+        threshold,
+        regex
+    };
+};
+
+// Validate matching rules and turn plain position strings into "title contains" rules
+export const compileRules = (positions = [], rules = []) => {
+    if (!Array.isArray(rules)) {
+        throw new Error('rules must be an array');
+    }
+
+    return [
+        ...positions.map(position => compileRule({ name: position, contains: position }, `Position "${position}"`)),
+        ...rules.map((rule, index) => compileRule(rule, `Rule ${index + 1}`))
+    ];
+};
+
+// Check a single compiled rule against a job, every condition the rule sets must hold
+const ruleMatches = (rule, job) => {
+    const title = normalize(job.title || '');
+
+    if (rule.contains && !title.includes(normalize(rule.contains))) {
+        return false;
+    }
+    if (!rule.include.every(keyword => title.includes(keyword))) {
+        return false;
+    }
+    if (rule.exclude.some(keyword => title.includes(keyword))) {
+        return false;
+    }
+    if (rule.regex && !rule.regex.test(job.title || '')) {
+        return false;
+    }
+    if (rule.similarTo && titleSimilarity(job.title || '', rule.similarTo) < rule.threshold) {
+        return false;
+    }
+
+    // Conditions on job metadata fail when the job card didn't show that field
+    if (rule.location && !(job.location && normalize(job.location).includes(normalize(rule.location)))) {
+        return false;
+    }
+    if (rule.maxDistance !== undefined && !(job.distance != null && job.distance <= rule.maxDistance)) {
+        return false;
+    }
+    if (rule.minPay !== undefined && !(job.payRate != null && job.payRate >= rule.minPay)) {
+        return false;
+    }
+    if (rule.jobTypes && !(job.jobType && rule.jobTypes.some(type => normalize(job.jobType).includes(normalize(type))))) {
+        return false;
+    }
+
+    return true;
+};
+
+// Highest-priority rule that matches a job, or null if none do
+export const matchJob = (job, rules) => rules
+    .filter(rule => ruleMatches(rule, job))
+    .reduce((best, rule) => (!best || rule.priority > best.priority ? rule : best), null);
+
+// Matching jobs tagged with the rule they matched, highest priority first
+export const findMatchingJobs = (jobs, rules) => jobs
+    .map(job => ({ job, rule: matchJob(job, rules) }))
+    .filter(({ rule }) => rule)
+    .sort((a, b) => (b.rule.priority - a.rule.priority) || (a.job.index - b.job.index))
+    .map(({ job, rule }) => ({ ...job, matchedRule: rule.name, priority: rule.priority }));
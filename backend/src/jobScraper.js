@@ -1,25 +1,65 @@
-export const scrapeJobs = async (page) => {
-    await page.waitForSelector('.hvh-careers-emotion-1pll7m0', { 
-        timeout: 20000 
-    });
-
-    // Get the index of each job element as well
-    return await page.evaluate(() => {
-        const jobElements = document.querySelectorAll('.hvh-careers-emotion-1pll7m0');
+// Scrape every job card on the search page into
+// { index, title, link, payRate, payText, location, distance, jobType, shiftCount, isNew }
+export const scrapeJobs = async (page, selectors) => {
+    try {
+        // Wait until any selector in the job card chain shows up
+        await page.waitForSelector(selectors.selectors('jobCard').join(', '), { 
+            timeout: 20000 
+        });
+    } finally {
+        // Record which selector in the chain matched, even if the wait timed out
+        await selectors.find(page, 'jobCard');
+    }
+    await selectors.find(page, 'jobCardContainer');
+
+    // Get the index of each job element and the text of the card around it
+    const cards = await page.evaluate((jobCardSelector, containerSelector) => {
+        const jobElements = document.querySelectorAll(jobCardSelector);
         return Array.from(jobElements).map((job, index) => {
             const titleText = job.innerText || job.textContent;
             const linkElement = job.closest('a');
+            const card = (containerSelector && job.closest(containerSelector)) || linkElement || job.parentElement;
             return {
                 title: titleText?.trim() || "No Title",
                 link: linkElement?.href || null,
-                index: index // Store the index for later use
+                index: index, // Store the index for later use
+                cardText: card?.innerText || card?.textContent || ''
             };
         });
-    });
+    }, selectors.matched('jobCard'), selectors.matched('jobCardContainer'));
+
+    return cards.map(({ cardText, ...job }) => ({ ...job, ...parseJobCard(cardText, job.title) }));
+};
+
+const JOB_TYPES = ['Full Time', 'Part Time', 'Flex Time', 'Reduced Time', 'Seasonal'];
+
+// Read the value after a "Label:" line on the card, e.g. "Location: Seattle, WA"
+const labelValue = (lines, label) => {
+    const line = lines.find(item => item.toLowerCase().startsWith(`${label.toLowerCase()}:`));
+    return line ? line.slice(label.length + 1).trim() || null : null;
 };
 
-export const isTargetJob = (jobTitle, targetJobs) => {
-    return targetJobs.some(targetJob => 
-        jobTitle.toLowerCase().includes(targetJob.toLowerCase())
-    );
-};
\ No newline at end of file
+// Extract the metadata shown on a job card, fields the card doesn't show are null
+export const parseJobCard = (cardText, title = '') => {
+    const lines = cardText.split('\n').map(line => line.trim()).filter(line => line && line !== title);
+    const text = lines.join('\n');
+
+    const payText = labelValue(lines, 'Pay rate') || lines.find(line => line.includes('$')) || null;
+    const payMatch = payText?.match(/\$\s*(\d+(?:\.\d+)?)/);
+    const distanceMatch = text.match(/(\d+(?:\.\d+)?)\s*(?:mi|miles)\b/i);
+    const shiftMatch = text.match(/(\d+)\s+shifts?\b/i) || labelValue(lines, 'Shifts')?.match(/(\d+)/);
+
+    const locationText = labelValue(lines, 'Location') || lines.find(line => /\b[A-Z][A-Za-z .'-]+, [A-Z]{2}\b/.test(line)) || null;
+    const jobTypes = JOB_TYPES.filter(type => new RegExp(`\\b${type.replace(' ', '[ -]')}\\b`, 'i').test(text));
+
+    return {
+        payRate: payMatch ? parseFloat(payMatch[1]) : null,
+        payText,
+        // Drop the "(within 5 mi)" style suffix, the distance has its own field
+        location: locationText ? locationText.replace(/\s*\((?:within\s+)?[\d.]+\s*(?:mi|miles)\)\s*$/i, '') : null,
+        distance: distanceMatch ? parseFloat(distanceMatch[1]) : null,
+        jobType: jobTypes.length > 0 ? jobTypes.join(', ') : null,
+        shiftCount: shiftMatch ? parseInt(shiftMatch[1], 10) : null,
+        isNew: lines.some(line => /^new!?$/i.test(line))
+    };
+};
@@ -0,0 +1,103 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+import { createJsonStore } from './jsonStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Job history lives in a JSON file so it survives restarts
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', 'data', 'jobs.json');
+
+const history = createJsonStore({
+    name: 'job store',
+    pathEnv: 'JOB_STORE_PATH',
+    defaultPath: DEFAULT_STORE_PATH,
+    fromFile: (data) => Object.entries(data.jobs || {}),
+    toFile: (jobs) => ({ jobs: Object.fromEntries(jobs) })
+});
+
+const load = history.load;
+
+// The monitor carries on when history can't be written, the records stay in memory either way
+const save = () => history.save().catch(error => logger.error(error.message));
+
+// Stable ID for a scraped job - its detail link, or its title on the search page it came from
+export const getJobId = (job, searchUrl) => job.link || `${searchUrl}#${job.title}`;
+
+// Record every job seen in a cycle, returns the stored records in the same order
+export const recordSeenJobs = async (scrapedJobs, { searchUrl, matchedIds = [] }) => {
+    const store = await load();
+    const now = new Date().toISOString();
+
+    const records = scrapedJobs.map(job => {
+        const id = getJobId(job, searchUrl);
+        const existing = store.get(id);
+        const record = {
+            id,
+            title: job.title,
+            link: job.link,
+            searchUrl,
+            payRate: job.payRate ?? null,
+            payText: job.payText ?? null,
+            location: job.location ?? null,
+            distance: job.distance ?? null,
+            jobType: job.jobType ?? null,
+            shiftCount: job.shiftCount ?? null,
+            isNew: job.isNew ?? null,
+            firstSeenAt: existing?.firstSeenAt || now,
+            lastSeenAt: now,
+            timesSeen: (existing?.timesSeen || 0) + 1,
+            matched: existing?.matched || matchedIds.includes(id),
+            applied: existing?.applied || false,
+            lastOutcome: existing?.lastOutcome || null,
+            attempts: existing?.attempts || []
+        };
+        store.set(id, record);
+        // Not stored - lets callers react only the first time a job matches
+        return { ...record, newlyMatched: matchedIds.includes(id) && !existing?.matched };
+    });
+
+    await save();
+    return records;
+};
+
+// Check if a job was already applied to in this or an earlier run
+export const hasApplied = async (id) => {
+    const store = await load();
+    return !!store.get(id)?.applied;
+};
+
+// Record the outcome of an apply attempt
+export const recordAttempt = async (id, { sessionId, outcome, failureReason = null, reason = null, completed = null, artifacts = null }) => {
+    const store = await load();
+    const record = store.get(id);
+    if (!record) {
+        throw new Error(`Job ${id} is not in the job store`);
+    }
+
+    record.attempts.push({ at: new Date().toISOString(), sessionId, outcome, failureReason, reason, completed, artifacts });
+    record.lastOutcome = outcome;
+    record.applied = record.applied || outcome === 'applied';
+
+    await save();
+    return record;
+};
+
+// Query stored jobs, most recently seen first
+export const queryJobs = async ({ matched, applied, outcome, search, since, limit = 50, offset = 0 } = {}) => {
+    const store = await load();
+    const text = search?.toLowerCase();
+
+    const results = Array.from(store.values())
+        .filter(job => matched === undefined || job.matched === matched)
+        .filter(job => applied === undefined || job.applied === applied)
+        .filter(job => !outcome || job.lastOutcome === outcome)
+        .filter(job => !text || job.title.toLowerCase().includes(text))
+        .filter(job => !since || job.lastSeenAt >= since)
+        .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+
+    return {
+        total: results.length,
+        jobs: results.slice(offset, offset + limit)
+    };
+};
@@ -0,0 +1,47 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// A JSON file held in memory as a Map once loaded and written back whole. fromFile turns the
+// parsed file into the Map's entries and toFile turns the Map back into the file's contents.
+export const createJsonStore = ({ name, pathEnv, defaultPath, fromFile, toFile }) => {
+    let entries = null;
+    let storePath = null;
+    let writeQueue = Promise.resolve();
+
+    // Load the store from disk the first time it's needed, a missing file is an empty store
+    const load = async () => {
+        if (entries) {
+            return entries;
+        }
+
+        storePath = process.env[pathEnv] || defaultPath;
+
+        try {
+            entries = new Map(fromFile(JSON.parse(await fs.readFile(storePath, 'utf8'))));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Could not read ${name} ${storePath}: ${error.message}`);
+            }
+            entries = new Map();
+        }
+
+        return entries;
+    };
+
+    // Write the whole store to a temp file and rename it, queued so writes never interleave.
+    // The returned promise rejects if this write fails, the writes queued after it still run.
+    const save = () => {
+        const write = writeQueue.then(async () => {
+            const tempPath = `${storePath}.tmp`;
+            await fs.mkdir(path.dirname(storePath), { recursive: true });
+            await fs.writeFile(tempPath, JSON.stringify(toFile(entries), null, 2));
+            await fs.rename(tempPath, storePath);
+        }).catch(error => {
+            throw new Error(`Could not save ${name} ${storePath}: ${error.message}`);
+        });
+        writeQueue = write.catch(() => {});
+        return write;
+    };
+
+    return { load, save };
+};
@@ -0,0 +1,204 @@
+import fs from 'fs/promises';
+import { closeSync, fstatSync, openSync, readSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Log entries are JSON lines in this file, rotated to .1, .2, ... when it gets too big
+const DEFAULT_LOG_FILE = path.join(__dirname, '..', 'data', 'logs', 'monitor.log');
+const DEFAULT_MAX_SIZE = 5 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+// How much of the end of a log file is read to find the newest entry's id
+const TAIL_BYTES = 64 * 1024;
+
+const listeners = new Set();
+let logFile = null;
+let fileSize = null;
+let nextId = null;
+let writeQueue = Promise.resolve();
+
+const settings = () => ({
+    file: process.env.LOG_FILE || DEFAULT_LOG_FILE,
+    level: LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info',
+    maxSize: Number(process.env.LOG_MAX_SIZE) || DEFAULT_MAX_SIZE,
+    maxFiles: Number(process.env.LOG_MAX_FILES) || DEFAULT_MAX_FILES
+});
+
+const rotatedFile = (file, index) => index === 0 ? file : `${file}.${index}`;
+
+// Shift monitor.log -> monitor.log.1 -> monitor.log.2 ..., dropping the oldest
+const rotate = async (file, maxFiles) => {
+    await fs.rm(rotatedFile(file, maxFiles - 1), { force: true });
+    for (let index = maxFiles - 2; index >= 0; index--) {
+        try {
+            await fs.rename(rotatedFile(file, index), rotatedFile(file, index + 1));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+    fileSize = 0;
+};
+
+// Id of the newest entry in the log files, 0 if there are none. Read once, synchronously, so ids
+// keep counting up across restarts instead of repeating.
+const newestLoggedId = ({ file, maxFiles }) => {
+    for (let index = 0; index < maxFiles; index++) {
+        let fd;
+        try {
+            fd = openSync(rotatedFile(file, index), 'r');
+            const { size } = fstatSync(fd);
+            const buffer = Buffer.alloc(Math.min(size, TAIL_BYTES));
+            readSync(fd, buffer, 0, buffer.length, size - buffer.length);
+            const lines = buffer.toString('utf8').split('\n').filter(Boolean).reverse();
+            for (const line of lines) {
+                try {
+                    const { id } = JSON.parse(line);
+                    if (Number.isInteger(id)) {
+                        return id;
+                    }
+                } catch {
+                    continue; // Cut short by a crash or by where the read started
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                process.stderr.write(`Error reading log file: ${error.message}\n`);
+                return 0;
+            }
+        } finally {
+            if (fd !== undefined) {
+                closeSync(fd);
+            }
+        }
+    }
+    return 0;
+};
+
+// Append an entry to the log file, queued so writes and rotations never interleave
+const writeEntry = (entry) => {
+    const { file, maxSize, maxFiles } = settings();
+    const line = `${JSON.stringify(entry)}\n`;
+
+    writeQueue = writeQueue.then(async () => {
+        if (logFile !== file || fileSize === null) {
+            logFile = file;
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            fileSize = await fs.stat(file).then(stats => stats.size, () => 0);
+        }
+        if (fileSize > 0 && fileSize + Buffer.byteLength(line) > maxSize) {
+            await rotate(file, maxFiles);
+        }
+        await fs.appendFile(file, line);
+        fileSize += Buffer.byteLength(line);
+    }).catch(error => {
+        process.stderr.write(`Error writing log file: ${error.message}\n`);
+    });
+};
+
+const formatEntry = (entry) => [
+    entry.time,
+    entry.level.toUpperCase().padEnd(5),
+    entry.sessionId ? `[Session ${entry.sessionId}]` : null,
+    entry.message
+].filter(Boolean).join(' ');
+
+const formatArgs = (args) => args
+    .map(arg => arg instanceof Error ? arg.message : typeof arg === 'string' ? arg : JSON.stringify(arg))
+    .join(' ');
+
+// Record a log entry: printed to the console, appended to the log file and passed to listeners.
+// context can carry sessionId, jobId and an event type.
+export const log = (level, message, { sessionId = null, jobId = null, event = 'log' } = {}) => {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings().level)) {
+        return null;
+    }
+
+    if (nextId === null) {
+        nextId = newestLoggedId(settings()) + 1;
+    }
+
+    const entry = {
+        id: nextId++,
+        time: new Date().toISOString(),
+        level,
+        sessionId,
+        jobId,
+        event,
+        message
+    };
+
+    (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(`${formatEntry(entry)}\n`);
+    writeEntry(entry);
+    listeners.forEach(listener => listener(entry));
+    return entry;
+};
+
+export const logger = {
+    debug: (...args) => log('debug', formatArgs(args)),
+    info: (...args) => log('info', formatArgs(args)),
+    warn: (...args) => log('warn', formatArgs(args)),
+    error: (...args) => log('error', formatArgs(args)),
+    // Logger whose entries all carry the given context, e.g. { sessionId }
+    child: (context) => Object.fromEntries(LOG_LEVELS.map(level => [
+        level,
+        (...args) => log(level, formatArgs(args), typeof context === 'function' ? context() : context)
+    ]))
+};
+
+// Call a function with every new entry, returns a function that stops listening
+export const onLog = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const readEntries = async (file) => {
+    try {
+        const text = await fs.readFile(file, 'utf8');
+        return text.split('\n').filter(Boolean).flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch {
+                return []; // A line cut short by a crash
+            }
+        });
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return [];
+    }
+};
+
+// Query the log files, newest first. Filters are all optional: minimum level, session, job,
+// event type, text in the message and a time range.
+export const queryLogs = async ({ level, sessionId, jobId, event, search, since, until, limit = 100, offset = 0 } = {}) => {
+    await writeQueue;
+    const { file, maxFiles } = settings();
+    const minLevel = level ? LOG_LEVELS.indexOf(level) : 0;
+    const text = search?.toLowerCase();
+
+    const entries = [];
+    for (let index = 0; index < maxFiles; index++) {
+        entries.push(...(await readEntries(rotatedFile(file, index))).reverse());
+    }
+
+    const results = entries
+        .filter(entry => LOG_LEVELS.indexOf(entry.level) >= minLevel)
+        .filter(entry => !sessionId || entry.sessionId === sessionId)
+        .filter(entry => !jobId || entry.jobId === jobId)
+        .filter(entry => !event || entry.event === event)
+        .filter(entry => !text || entry.message.toLowerCase().includes(text))
+        .filter(entry => !since || entry.time >= since)
+        .filter(entry => !until || entry.time <= until);
+
+    return {
+        total: results.length,
+        logs: results.slice(offset, offset + limit)
+    };
+};
@@ -0,0 +1,148 @@
+// Counters, gauges and histograms served on /metrics in the Prometheus text format
+const registry = [];
+
+// Seconds, from a quick page load up to the 60s navigation timeout
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+const escapeLabel = (value) => String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length === 0 ? '' : `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const defineMetric = (name, type, help) => {
+    const metric = { name, type, help, series: new Map() };
+    registry.push(metric);
+    return metric;
+};
+
+// Series are kept per label set, keyed by the rendered labels so the same set always adds up
+const seriesFor = (metric, labels, create) => {
+    const key = formatLabels(labels);
+    if (!metric.series.has(key)) {
+        metric.series.set(key, { labels, ...create() });
+    }
+    return metric.series.get(key);
+};
+
+const counter = (name, help) => {
+    const metric = defineMetric(name, 'counter', help);
+    return {
+        inc: (labels = {}, value = 1) => {
+            seriesFor(metric, labels, () => ({ value: 0 })).value += value;
+        }
+    };
+};
+
+// Gauges are either set as things happen or read from collect() when /metrics is scraped
+const gauge = (name, help) => {
+    const metric = defineMetric(name, 'gauge', help);
+    return {
+        set: (labels = {}, value) => {
+            seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+        },
+        collect: (read) => {
+            metric.collect = read;
+        }
+    };
+};
+
+const histogram = (name, help, buckets = DURATION_BUCKETS) => {
+    const metric = defineMetric(name, 'histogram', help);
+    metric.buckets = buckets;
+    return {
+        observe: (labels = {}, value) => {
+            const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    series.counts[index]++;
+                }
+            });
+            series.sum += value;
+            series.count++;
+        }
+    };
+};
+
+const cyclesTotal = counter('jobbot_cycles_total', 'Monitoring cycles run');
+const jobsScrapedTotal = counter('jobbot_jobs_scraped_total', 'Jobs found on the search page, summed over cycles');
+const jobsScraped = gauge('jobbot_jobs_scraped', 'Jobs found on the search page in the latest cycle');
+const jobMatchesTotal = counter('jobbot_job_matches_total', 'Jobs that matched a position rule, summed over cycles');
+const applyAttemptsTotal = counter('jobbot_apply_attempts_total', 'Apply attempts by outcome and failure reason');
+const browserRestartsTotal = counter('jobbot_browser_restarts_total', 'Browsers relaunched after a failure');
+const pageLoadSeconds = histogram('jobbot_page_load_seconds', 'Time to load the job search page');
+const scrapeSeconds = histogram('jobbot_scrape_duration_seconds', 'Time to scrape the jobs off the search page');
+const websocketClients = gauge('jobbot_websocket_clients', 'Connected WebSocket clients');
+
+const sessionLabels = (session) => ({ session: session.id, link: session.config.AMAZON_JOBS_URL });
+
+// Deleted sessions, so a cycle still finishing after the delete doesn't bring their series back
+const forgotten = new WeakSet();
+
+const forSession = (record) => (session, ...args) => {
+    if (!forgotten.has(session)) {
+        record(session, ...args);
+    }
+};
+
+export const recordCycle = forSession((session) => cyclesTotal.inc(sessionLabels(session)));
+
+// Record what a cycle found on the search page and how long loading and scraping it took
+export const recordScrape = forSession((session, { jobs, matches, pageLoadMs, scrapeMs }) => {
+    const labels = sessionLabels(session);
+    jobsScrapedTotal.inc(labels, jobs);
+    jobsScraped.set(labels, jobs);
+    jobMatchesTotal.inc(labels, matches);
+    pageLoadSeconds.observe(labels, pageLoadMs / 1000);
+    scrapeSeconds.observe(labels, scrapeMs / 1000);
+});
+
+// Count an apply attempt, successful attempts have reason "none"
+export const recordApplyAttempt = forSession((session, result) => {
+    applyAttemptsTotal.inc({ ...sessionLabels(session), outcome: result.outcome, reason: result.failureReason || 'none' });
+});
+
+export const recordBrowserRestart = forSession((session) => browserRestartsTotal.inc(sessionLabels(session)));
+
+// Drop every series of a deleted session, session IDs are random so they'd otherwise pile up
+export const forgetSession = (session) => {
+    forgotten.add(session);
+    registry.forEach(metric => {
+        metric.series.forEach((series, key) => {
+            if (series.labels.session === session.id) {
+                metric.series.delete(key);
+            }
+        });
+    });
+};
+
+// Read the WebSocket client count whenever /metrics is scraped
+export const trackWebSocketClients = (clients) => websocketClients.collect(() => clients.size);
+
+const renderSeries = (metric, series) => {
+    const labels = formatLabels(series.labels);
+    if (metric.type !== 'histogram') {
+        return [`${metric.name}${labels} ${series.value}`];
+    }
+
+    const withLe = (le) => formatLabels({ ...series.labels, le });
+    return [
+        ...metric.buckets.map((bound, index) => `${metric.name}_bucket${withLe(bound)} ${series.counts[index]}`),
+        `${metric.name}_bucket${withLe('+Inf')} ${series.count}`,
+        `${metric.name}_sum${labels} ${series.sum}`,
+        `${metric.name}_count${labels} ${series.count}`
+    ];
+};
+
+// Every metric in the Prometheus text exposition format
+export const renderMetrics = () => registry.map(metric => {
+    const series = metric.collect
+        ? [{ labels: {}, value: metric.collect() }]
+        : Array.from(metric.series.values());
+    return [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...series.flatMap(entry => renderSeries(metric, entry))
+    ].join('\n');
+}).join('\n') + '\n';
@@ -1,123 +1,222 @@
 import puppeteer from 'puppeteer';
-import { findChromePath } from './browserUtils.js';
-import { scrapeJobs, isTargetJob } from './jobScraper.js';
+import { findChromePath, claimUserDataDir, releaseUserDataDir } from './browserUtils.js';
+import { scrapeJobs } from './jobScraper.js';
+import { compileRules, findMatchingJobs } from './jobMatcher.js';
+import { loadSelectorProfile, createSelectorTracker } from './selectors.js';
+import { getJobId, recordSeenJobs, hasApplied, recordAttempt } from './jobStore.js';
+import { pickBestShift } from './shiftPreferences.js';
+import { getScheduleState } from './scheduler.js';
+import { createAttemptRecorder } from './artifacts.js';
+import { createApplyAttempt, createRetryTracker } from './applyAttempt.js';
+import { createSupervisor, createRestartBudget } from './supervisor.js';
+import { acquireProfile, releaseProfile, recordProfileSuccess, recordProfileFailure } from './profiles.js';
+import { loadCandidateProfile, completeApplication } from './applicationFlow.js';
+import { recordCycle, recordScrape, recordApplyAttempt, recordBrowserRestart } from './metrics.js';
 
-// State variables
-let isRunning = false;
-let keepBrowserOpen = false;
-let currentProfileIndex = 0;
-let currentConfig = null;
-let activeBrowser = null;
+const SLEEP_CHECK_INTERVAL = 5000;
+// Browser relaunches wait this long times the restarts used in the current window
+const RESTART_DELAY = 10000;
 
-// Check if monitoring is running
-export const isJobMonitorRunning = () => isRunning;
-
-// Get current configuration
-export const getCurrentConfig = () => currentConfig;
+// Main monitoring function, runs until the session is stopped or an application succeeds
+export const runMonitor = async (session) => {
+    const { config } = session;
+    
+    session.log(`🚀 Starting Amazon Jobs Monitor for ${config.AMAZON_JOBS_URL}`);
+    session.matchRules = compileRules(config.TARGET_JOBS, config.MATCH_RULES);
+    session.log("Looking for the following positions:");
+    session.matchRules.forEach(rule => session.log(`- ${rule.name} (priority ${rule.priority})`));
+    
+    session.retries = createRetryTracker(config.RETRY_POLICY);
+    session.candidate = await loadCandidateProfile(config.CANDIDATE_FILE);
+    session.log(session.candidate
+        ? `Completing applications with ${session.candidate.answers.length} candidate answer(s) from ${config.CANDIDATE_FILE}`
+        : `No candidate profile at ${config.CANDIDATE_FILE}, applications are left to finish by hand`);
+    session.selectorProfile = await loadSelectorProfile(config.SELECTOR_PROFILE);
+    session.log(`Using selector profile: ${session.selectorProfile.name} v${session.selectorProfile.version}`);
+    
+    const chromePath = await findChromePath(config.CHROME_PATH);
+    session.log(`Using Chrome from: ${chromePath}`);
+    
+    // A dead or hung browser is closed straight away, which also fails whatever was waiting on it
+    const supervisor = createSupervisor(session, (failure) => {
+        session.error(`💥 Browser failure (${failure.reason}): ${failure.details}`);
+        session.lastBrowserFailure = failure;
+        session.emit('browserFailed', failure);
+        recordProfileFailure(failure.profile, failure, config.PROFILE_COOLDOWN_MINUTES)
+            .catch(error => session.error(`Could not record the profile failure: ${error.message}`));
+        if (failure.reason !== 'disconnected') {
+            session.browser?.close().catch(() => {});
+        }
+    });
+    const restartBudget = createRestartBudget(config.BROWSER_RESTART_BUDGET, config.BROWSER_RESTART_WINDOW_MINUTES);
+    session.restartCount = 0;
+    session.profile = await acquireProfile(session);
 
-// Start job monitoring
-export const startMonitoringJobs = async (config, logCallback) => {
-    if (isRunning) {
-        throw new Error("Job monitoring is already running");
-    }
-    
-    isRunning = true;
-    currentConfig = config;
-    
     try {
-        await monitorJobs(config, logCallback);
-    } catch (error) {
-        console.error("Error in job monitoring:", error);
+        while (session.isRunning) {
+            let page = null;
+            try {
+                session.log(`Using Chrome profile: ${session.profile}`);
+                const userDataDir = await claimUserDataDir(session, session.profile);
+                session.browser = await launchBrowser(chromePath, session.profile, userDataDir, config);
+                page = await setupPage(session.browser);
+            } catch (launchError) {
+                // The profile may be locked by another Chrome, the next one might work
+                session.error(`Could not start the browser with profile ${session.profile}: ${launchError.message}`);
+                session.lastBrowserFailure = { reason: 'launchFailed', details: launchError.message, profile: session.profile, at: new Date().toISOString() };
+                session.emit('browserFailed', session.lastBrowserFailure);
+                await recordProfileFailure(session.profile, session.lastBrowserFailure, config.PROFILE_COOLDOWN_MINUTES);
+            }
+            
+            let outcome = 'browserFailed';
+            if (page) {
+                supervisor.watch(session.browser, page);
+                outcome = await monitorPage(session, page, supervisor, () => recordProfileSuccess(session.profile)
+                    .catch(error => session.warn(`⚠️ Could not record a success on profile ${session.profile}: ${error.message}`)));
+                supervisor.unwatch();
+            }
+            if (outcome !== 'browserFailed' || !session.isRunning) {
+                return;
+            }
+            
+            // Relaunch, within the restart budget
+            await closeBrowser(session);
+            if (!restartBudget.take()) {
+                throw new Error(`Browser failed ${config.BROWSER_RESTART_BUDGET + 1} times within ${config.BROWSER_RESTART_WINDOW_MINUTES} minute(s), giving up`);
+            }
+            session.restartCount++;
+            recordBrowserRestart(session);
+            session.setStatus('restarting');
+            
+            const previousProfile = session.profile;
+            session.log(`🔁 Restarting browser (${restartBudget.used()}/${config.BROWSER_RESTART_BUDGET} restarts in the last ${config.BROWSER_RESTART_WINDOW_MINUTES} minutes)`);
+            await pause(session, RESTART_DELAY * restartBudget.used());
+            if (!session.isRunning) {
+                return;
+            }
+            // The healthiest profile again, so a relaunch moves away from one that keeps failing
+            session.profile = await acquireProfile(session);
+            if (session.profile !== previousProfile) {
+                session.warn(`🔄 Rotating from profile ${previousProfile} to ${session.profile}`);
+            }
+            session.emit('browserRestarted', {
+                profile: session.profile,
+                previousProfile,
+                restarts: session.restartCount,
+                budgetUsed: restartBudget.used(),
+                budget: config.BROWSER_RESTART_BUDGET
+            });
+        }
     } finally {
-        isRunning = false;
+        supervisor.unwatch();
+        if (!session.keepBrowserOpen) {
+            releaseProfile(session);
+        }
+        // Only close browser if the keepBrowserOpen flag is false
+        if (session.browser && !session.keepBrowserOpen) {
+            await closeBrowser(session);
+            session.log("Browser closed");
+        } else if (session.keepBrowserOpen) {
+            session.log("Browser remains open for user interaction");
+        }
+        if (!session.keepBrowserOpen) {
+            await releaseUserDataDir(session);
+        }
+        session.isRunning = false;
     }
 };
 
-// Stop job monitoring
-export const stopMonitoringJobs = () => {
-    isRunning = false;
-    keepBrowserOpen = false;
-    
-    // Close browser if it's open
-    if (activeBrowser) {
+// Run monitoring cycles on one browser, returns "applied", "stopped" or "browserFailed"
+async function monitorPage(session, page, supervisor, onCycleCompleted) {
+    const { config } = session;
+    session.setStatus('running');
+    
+    // Main job monitoring loop
+    while (session.isRunning && !supervisor.failure()) {
+        session.schedule = getScheduleState(config.SCHEDULE, config.REFRESH_INTERVAL);
+        if (session.schedule.mode === 'sleeping') {
+            await sleepUntilScheduled(session);
+            continue;
+        }
+        session.setStatus('running');
+
         try {
-            activeBrowser.close();
+            session.cycleCount++;
+            session.emit('cycleStarted', { cycle: session.cycleCount });
+            supervisor.cycleStarted();
+            session.selectors = createSelectorTracker(session.selectorProfile);
+            const success = await checkForJobs(session, page);
+            supervisor.cycleFinished();
+            await onCycleCompleted();
+            reportSelectorDrift(session);
+            session.emit('cycleFinished', { cycle: session.cycleCount, applied: success, result: session.lastResult });
+            if (success) {
+                session.setStatus('applied');
+                if (session.lastResult.completed) {
+                    session.log(`🎉 Application submitted and confirmed. Artifacts saved as ${session.lastResult.artifacts}`);
+                }
+                if (config.HEADLESS) {
+                    // Nobody can take over a headless browser, the artifacts are the record of what happened
+                    session.log(`✅ Application process initiated successfully. Artifacts saved as ${session.lastResult.artifacts}`);
+                    return 'applied';
+                }
+                session.keepBrowserOpen = true; // Set flag to keep browser open
+                session.log("✅ Application process initiated successfully. Browser will remain open.");
+                return 'applied'; // Exit the function but don't close browser
+            }
+            
+            // If we reach here, no application was successful
+            session.schedule.nextRunAt = new Date(Date.now() + session.schedule.interval).toISOString();
+            await waitForNextCycle(session, session.schedule.interval, 5000, `Waiting to retry (${session.schedule.mode})`);
+            
         } catch (error) {
-            console.error("Error closing browser:", error);
+            supervisor.cycleFinished();
+            // Errors caused by a dead browser are the supervisor's to handle, retrying on the same page can't help
+            if (supervisor.failure() || !session.browser?.connected) {
+                return session.isRunning ? 'browserFailed' : 'stopped';
+            }
+            session.error("Error during job search:", error.message);
+            session.lastResult = {
+                checkedAt: new Date().toISOString(),
+                error: error.message,
+                selectors: session.selectors.report()
+            };
+            reportSelectorDrift(session);
+            session.emit('monitorError', { cycle: session.cycleCount, error: error.message, fatal: false });
+            if (!session.isRunning) {
+                break;
+            }
+            await pause(session, 60000);
         }
-        activeBrowser = null;
     }
     
-    return true;
-};
-
-// Main monitoring function
-const monitorJobs = async (config, logCallback) => {
-    console.log("🚀 Starting Amazon Jobs Monitor...");
-    console.log("Looking for the following positions:");
-    config.TARGET_JOBS.forEach(job => console.log(`- ${job}`));
-    
-    const chromePath = await findChromePath();
-    console.log(`Using Chrome from: ${chromePath}`);
-
-    // Get current profile to use
-    const profileToUse = config.CHROME_PROFILES[currentProfileIndex];
-    
-    // Update index for next run (cycle through profiles)
-    currentProfileIndex = (currentProfileIndex + 1) % config.CHROME_PROFILES.length;
-    
-    console.log(`Using Chrome profile: ${profileToUse}`);
+    return supervisor.failure() && session.isRunning ? 'browserFailed' : 'stopped';
+}
 
-    try {
-        activeBrowser = await launchBrowser(chromePath, profileToUse, config);
-        const page = await setupPage(activeBrowser);
-        
-        // Main job monitoring loop
-        while (isRunning) {
-            try {
-                const success = await checkForJobs(page, config);
-                if (success) {
-                    keepBrowserOpen = true; // Set flag to keep browser open
-                    console.log("✅ Application process initiated successfully. Browser will remain open.");
-                    return; // Exit the function but don't close browser
-                }
-                
-                // If we reach here, no application was successful
-                await waitRandomTime(config.REFRESH_INTERVAL, 5000, "Waiting to retry");
-                
-            } catch (error) {
-                console.error("Error during job search:", error.message);
-                await new Promise(resolve => setTimeout(resolve, 60000));
-            }
-        }
-    } catch (error) {
-        console.error("Fatal error:", error);
-    } finally {
-        // Only close browser if the keepBrowserOpen flag is false
-        if (activeBrowser && !keepBrowserOpen) {
-            await activeBrowser.close();
-            console.log("Browser closed");
-            activeBrowser = null;
-        } else if (keepBrowserOpen) {
-            console.log("Browser remains open for user interaction");
-        }
-        isRunning = false;
+async function closeBrowser(session) {
+    const browser = session.browser;
+    session.browser = null;
+    if (browser?.connected) {
+        await browser.close().catch(error => session.error(`Error closing browser: ${error.message}`));
     }
-};
+}
+
+async function launchBrowser(chromePath, profileToUse, userDataDir, config) {
+    // Headless sessions never touch the user's Chrome profiles, headed ones run on their own copy
+    const profileArgs = config.HEADLESS
+        ? [`--user-data-dir=${userDataDir}`]
+        : ['--start-maximized', `--user-data-dir=${userDataDir}`, `--profile-directory=${profileToUse}`];
 
-async function launchBrowser(chromePath, profileToUse, config) {
     return await puppeteer.launch({
-        headless: false,
+        headless: !!config.HEADLESS,
         executablePath: chromePath,
-        defaultViewport: null,
+        defaultViewport: config.HEADLESS ? { width: 1366, height: 900 } : null,
         ignoreDefaultArgs: ['--enable-automation'],
         args: [
             '--no-sandbox',
             '--disable-setuid-sandbox',
             '--disable-dev-shm-usage',
-            '--start-maximized',
-            `--user-data-dir=${config.USER_DATA_DIR}`,
-            `--profile-directory=${profileToUse}`
+            ...profileArgs
         ]
     });
 }
@@ -139,93 +238,329 @@ async function setupPage(browser) {
     return page;
 }
 
-async function checkForJobs(page, config) {
-    console.log("\n🔍 Checking for ```" + config.TARGET_JOBS.join("```, ```") + "``` positions...");
+async function checkForJobs(session, page) {
+    const { config } = session;
+    recordCycle(session);
+    session.log("🔍 Checking for ```" + session.matchRules.map(rule => rule.name).join("```, ```") + "``` positions...");
     
     // Add a random delay to mimic human behavior
-    await waitRandomTime(5000, 1000);
+    await waitRandomTime(session, 5000, 1000);
     
+    const loadStartedAt = Date.now();
     await page.goto(config.AMAZON_JOBS_URL, { 
         waitUntil: "domcontentloaded",
         timeout: 60000 
     });
+    const pageLoadMs = Date.now() - loadStartedAt;
     
     // Wait for dynamic content
-    await new Promise(resolve => setTimeout(resolve, 3000));
+    await pause(session, 3000);
 
-    const jobs = await scrapeJobs(page);
-    console.log(`Found ${jobs.length} total positions`);
+    const scrapeStartedAt = Date.now();
+    const jobs = (await scrapeJobs(page, session.selectors))
+        .map(job => ({ ...job, id: getJobId(job, config.AMAZON_JOBS_URL) }));
+    const scrapeMs = Date.now() - scrapeStartedAt;
+    session.log(`Found ${jobs.length} total positions`);
+    jobs.forEach(job => session.log(`  • ${formatJob(job)}`));
+    
+    // Highest-priority matches come first so they're processed first
+    const matchingJobs = findMatchingJobs(jobs, session.matchRules);
+    recordScrape(session, { jobs: jobs.length, matches: matchingJobs.length, pageLoadMs, scrapeMs });
+    const records = await recordSeenJobs(jobs, {
+        searchUrl: config.AMAZON_JOBS_URL,
+        matchedIds: matchingJobs.map(job => job.id)
+    });
     
-    const matchingJobs = jobs.filter(job => isTargetJob(job.title, config.TARGET_JOBS));
+    // The latest listing for the dashboard's job board, with each job's match and apply state
+    session.jobs = jobs.map(job => {
+        const match = matchingJobs.find(matching => matching.id === job.id);
+        const record = records.find(item => item.id === job.id);
+        return {
+            ...job,
+            matched: !!match,
+            matchedRule: match?.matchedRule ?? null,
+            priority: match?.priority ?? null,
+            applied: !!record?.applied,
+            lastOutcome: record?.lastOutcome ?? null
+        };
+    });
+    session.emit('jobsScraped', { searchUrl: config.AMAZON_JOBS_URL, jobs: session.jobs });
+    
+    // Only alert on a job the first time it matches, not on every refresh
+    matchingJobs
+        .filter(job => records.find(record => record.id === job.id)?.newlyMatched)
+        .forEach(job => session.emit('jobMatched', { job }));
+    session.lastResult = {
+        checkedAt: new Date().toISOString(),
+        totalJobs: jobs.length,
+        matchingJobs: matchingJobs.length,
+        applied: false,
+        selectors: session.selectors.report()
+    };
 
     if (matchingJobs.length > 0) {
-        console.log(`✅ Found ${matchingJobs.length} matching positions!`);
+        session.log(`✅ Found ${matchingJobs.length} matching positions!`);
+    } else {
+        session.log("❌ No matching positions found");
+    }
+    
+    // Jobs picked on the dashboard's job board go first, whether they match or not
+    const requested = takeRequestedJobs(session, jobs, matchingJobs);
+    const queue = [...requested, ...matchingJobs.filter(job => !requested.some(item => item.id === job.id))];
+    
+    for (const job of queue) {
+        if (requested.includes(job)) {
+            session.log(`👆 Applying to ${job.title} as requested from the dashboard`);
+        } else {
+            // Never apply twice to the same posting, even across restarts
+            if (await hasApplied(job.id)) {
+                session.log(`⏭️ Skipping ${job.title} - already applied`);
+                continue;
+            }
+            
+            // Jobs in backoff or given up on by the retry policy wait for a later cycle
+            const heldBack = session.retries.check(job.id);
+            if (heldBack) {
+                session.log(`⏭️ Skipping ${job.title} - ${heldBack}`);
+                continue;
+            }
+        }
         
-        for (const job of matchingJobs) {
-            const success = await processJob(page, job, config);
-            if (success) {
-                return true; // Application successful
+        let result;
+        let decision;
+        do {
+            session.currentJobId = job.id;
+            try {
+                result = await processJob(session, page, job);
+                decision = session.retries.record(job, result);
+                reportAttempt(session, job, result, decision);
+            } finally {
+                session.currentJobId = null;
             }
+            await recordAttempt(job.id, { sessionId: session.id, ...result });
+            markListedJob(session, job.id, result.outcome);
+            session.emit('applyResult', { job, ...result, retry: decision });
+            if (result.outcome === 'applied') {
+                session.emit('applyClicked', { job, shift: result.shift });
+                if (result.completed) {
+                    session.emit('applyCompleted', { job, shift: result.shift, steps: result.applicationSteps });
+                }
+            } else if (result.outcome === 'observed') {
+                session.emit('applyObserved', { job, decision: result.decision });
+            } else if (result.outcome === 'failed') {
+                session.emit('applyFailed', { job, reason: result.reason, failureReason: result.failureReason });
+            }
+        } while (decision.action === 'retry' && session.isRunning);
+        // Include the selectors matched on the job details page
+        session.lastResult.selectors = session.selectors.report();
+        if (result.outcome === 'observed') {
+            // What a real run would have done this cycle, and the other matches it came before
+            session.lastResult.observed = {
+                ...result.decision,
+                otherMatches: matchingJobs.filter(other => other.id !== job.id)
+                    .map(other => ({ title: other.title, matchedRule: other.matchedRule, priority: other.priority }))
+            };
+            break;
+        }
+        if (result.outcome === 'applied') {
+            session.lastResult.applied = true;
+            session.lastResult.completed = !!result.completed;
+            session.lastResult.artifacts = result.artifacts;
+            return true; // Application successful
         }
-    } else {
-        console.log("❌ No matching positions found");
     }
     
     return false; // No successful applications
 }
 
-async function processJob(page, job, config) {
-    console.log(`Processing: ${job.title}`);
+// Take the jobs requested from the dashboard that are still listed, tagged with their matched rule if any
+function takeRequestedJobs(session, jobs, matchingJobs) {
+    const requested = session.requestedJobs.splice(0);
+    return requested.map(id => {
+        const job = matchingJobs.find(matching => matching.id === id) || jobs.find(listed => listed.id === id);
+        if (!job) {
+            session.warn(`⚠️ Requested job ${id} is no longer listed, not applying`);
+            return null;
+        }
+        return { matchedRule: null, priority: null, ...job };
+    }).filter(Boolean);
+}
+
+// Keep the job board's copy of a job in step with its latest attempt
+function markListedJob(session, id, outcome) {
+    const listed = session.jobs?.find(job => job.id === id);
+    if (listed) {
+        listed.lastOutcome = outcome;
+        listed.applied = listed.applied || outcome === 'applied';
+    }
+}
+
+// Queue a job from the latest listing to apply to, matching or not. It's picked up at the start of
+// the next cycle, which starts right away if the monitor is waiting between cycles.
+export const requestApply = (session, id) => {
+    if (!session.requestedJobs.includes(id)) {
+        session.requestedJobs.push(id);
+    }
+    session.wake?.();
+};
+
+// Try to apply for a job, returns the outcome, the typed failure reason and readable reason when
+// it didn't apply, the states it went through and the ID of the artifacts recorded along the way
+async function processJob(session, page, job) {
+    const recorder = await createAttemptRecorder(session, page, job);
+    const result = await attemptApply(session, page, job, recorder);
+    recordApplyAttempt(session, result);
+    const artifacts = await recorder.finish(result);
+    session.log(`📸 Saved apply attempt artifacts as ${artifacts}`);
+    return { ...result, artifacts };
+}
+
+async function attemptApply(session, page, job, recorder) {
+    const { config } = session;
+    const attempt = createApplyAttempt(session, job);
+    session.log(`Processing: ${job.title} (${job.matchedRule ? `matched "${job.matchedRule}"` : 'requested from the dashboard'})`);
     
     // Add random delay between processing jobs
-    await waitRandomTime(5000, 5000, "Waiting before next job");
+    await waitRandomTime(session, 5000, 5000, "Waiting before next job");
     
     // Find and click on the job element
-    const jobElements = await page.$$('.hvh-careers-emotion-1pll7m0');
+    attempt.enter('navigating');
+    await recorder.step('search-results');
+    const jobElements = await page.$$(session.selectors.matched('jobCard'));
     if (jobElements.length <= job.index) {
-        console.error(`Could not find element for job index ${job.index}`);
-        return false;
+        session.error(`Could not find element for job index ${job.index}`);
+        return attempt.fail('jobElementNotFound', 'job element not found');
     }
     
-    console.log(`Found ${jobElements.length} job elements, clicking on element at index ${job.index}`);
+    session.log(`Found ${jobElements.length} job elements, clicking on element at index ${job.index}`);
     
+    let result;
     try {
-        // Click job and wait for navigation
-        await navigateToJobDetails(page, jobElements[job.index]);
-        
-        // Verify we're on the job details page
-        const onJobPage = await verifyJobDetailsPage(page);
-        if (!onJobPage) {
-            console.log("Not on job details page - returning to search");
-            await navigateBack(page, config.AMAZON_JOBS_URL);
-            return false;
-        }
-        
-        // Handle shift selection
-        await handleShiftSelection(page);
-        
-        // Look for and click apply button
-        const applied = await clickApplyButton(page);
-        if (applied) {
-            console.log("✅ Application process initiated successfully");
-            await page.screenshot({ path: `successful-apply-${Date.now()}.png` });
-            
-            // Wait a moment to ensure new tab opens
-            await new Promise(resolve => setTimeout(resolve, 10000));
-            return true; // Successful application
-        }
-        
+        result = await applyFromResults(session, page, job, jobElements[job.index], attempt, recorder);
     } catch (error) {
-        console.error(`Error processing job: ${error.message}`);
+        session.error(`Error processing job: ${error.message}`);
+        result = attempt.fail(error.name === 'TimeoutError' && attempt.state === 'navigating' ? 'navigationTimeout' : 'unexpectedError', error.message);
+    }
+    
+    if (result.outcome === 'applied') {
+        return result;
     }
     
+    // Capture the page the attempt ended on before leaving it
+    await recorder.step(result.outcome);
+    
     // Return to search results if needed
-    await navigateBack(page, config.AMAZON_JOBS_URL);
-    return false;
+    await navigateBack(session, page, config.AMAZON_JOBS_URL);
+    return result;
+}
+
+// Walk a job from its search result card to the apply click, one state at a time
+async function applyFromResults(session, page, job, jobElement, attempt, recorder) {
+    // Click job and wait for navigation
+    const { timedOut } = await navigateToJobDetails(session, page, jobElement);
+    
+    // Verify we're on the job details page
+    attempt.enter('verifying');
+    await recorder.step('job-details');
+    const onJobPage = await verifyJobDetailsPage(session, page);
+    if (!onJobPage) {
+        session.log("Not on job details page - returning to search");
+        // A navigation that never finished explains the missing details page
+        return timedOut
+            ? attempt.fail('navigationTimeout', 'navigation to job details timed out')
+            : attempt.fail('detailsPageUnverified', 'not on job details page');
+    }
+    
+    // Handle shift selection, skipping the job when no shift is acceptable
+    attempt.enter('selectingShift');
+    const shiftChoice = await handleShiftSelection(session, page);
+    if (shiftChoice.failureReason) {
+        session.log(`⏭️ Not applying: ${shiftChoice.reason}`);
+        return attempt.fail(shiftChoice.failureReason, shiftChoice.reason);
+    }
+    if (shiftChoice.shift) {
+        await recorder.step('shift-selected');
+    }
+    
+    // Dry runs stop here, just before the click that would apply
+    if (session.config.DRY_RUN) {
+        return await observeApply(session, page, job, attempt, shiftChoice);
+    }
+    
+    // Look for and click apply button, listening for the tab it opens before clicking
+    attempt.enter('applying');
+    const applicationTab = waitForApplicationTab(session, page);
+    const click = await clickApplyButton(session, page);
+    if (click.failureReason) {
+        return attempt.fail(click.failureReason, click.reason, { shift: shiftChoice.shift });
+    }
+    session.log("✅ Application process initiated successfully");
+    
+    if (!session.candidate) {
+        // Without candidate answers the application is left for the user to finish
+        await pause(session, 10000);
+        await recorder.step('apply-clicked');
+        await recorder.captureTabs(session.browser);
+        return attempt.confirm({ shift: shiftChoice.shift, completed: false });
+    }
+    
+    attempt.enter('completingApplication');
+    const tab = await applicationTab;
+    await recorder.step('apply-clicked');
+    if (!tab) {
+        return attempt.fail('applicationTabNotOpened', 'no application tab opened after clicking apply', { shift: shiftChoice.shift });
+    }
+    
+    session.log(`Following the application in ${tab.url()}`);
+    recorder.follow(tab);
+    const application = await completeApplication(session, tab, recorder, session.candidate);
+    if (!application.completed) {
+        session.warn(`Application not completed: ${application.reason}`);
+        await tab.close().catch(() => {});
+        return attempt.fail(application.failureReason, application.reason, { shift: shiftChoice.shift, applicationSteps: application.steps });
+    }
+    return attempt.confirm({ shift: shiftChoice.shift, completed: true, applicationSteps: application.steps });
+}
+
+// Report the job and shift a real run would have applied to and why, without clicking apply
+async function observeApply(session, page, job, attempt, shiftChoice) {
+    const applyButton = await findApplyButton(session, page);
+    const decision = {
+        job: { id: job.id, title: job.title, link: job.link },
+        matchedRule: job.matchedRule,
+        priority: job.priority,
+        shift: shiftChoice.shift,
+        shiftScore: shiftChoice.score ?? null,
+        rejectedShifts: shiftChoice.rejected || [],
+        applyButton
+    };
+    
+    session.log(job.matchedRule
+        ? `👀 Dry run: would apply to ${job.title} - matched rule "${job.matchedRule}" (priority ${job.priority})`
+        : `👀 Dry run: would apply to ${job.title} - requested from the dashboard`);
+    session.log(shiftChoice.shift
+        ? `👀 Dry run: would pick shift ${shiftChoice.shift.text} (score ${shiftChoice.score}, ${decision.rejectedShifts.length} shift(s) rejected)`
+        : "👀 Dry run: no shift to pick for this job");
+    if (!applyButton) {
+        session.warn("👀 Dry run: no apply button found, a real run would fail here");
+    }
+    return attempt.observe({ shift: shiftChoice.shift, decision });
+}
+
+// The tab the apply button opens, or null if none opens in time
+async function waitForApplicationTab(session, page) {
+    try {
+        const target = await session.browser.waitForTarget(target => target.opener() === page.target(), { timeout: 15000 });
+        return await target.page();
+    } catch (error) {
+        return null;
+    }
 }
 
-async function navigateToJobDetails(page, jobElement) {
-    console.log("Clicking job and waiting for navigation...");
+// Click a job card, returns whether the navigation it started timed out
+async function navigateToJobDetails(session, page, jobElement) {
+    session.log("Clicking job and waiting for navigation...");
+    let timedOut = false;
     
     try {
         // Use Promise.all to handle both click and navigation
@@ -235,181 +570,120 @@ async function navigateToJobDetails(page, jobElement) {
                 timeout: 30000, 
                 waitUntil: "domcontentloaded" 
             }).catch(err => {
-                console.log("Navigation timeout, but proceeding anyway...");
+                timedOut = true;
+                session.log("Navigation timeout, but proceeding anyway...");
             }),
             // This clicks the job element
             jobElement.click()
         ]);
         
-        console.log("Navigation completed");
+        session.log("Navigation completed");
     } catch (clickError) {
-        console.error(`Error during click and navigation: ${clickError.message}`);
+        session.error(`Error during click and navigation: ${clickError.message}`);
     }
     
     // Give the page some time to settle
-    await new Promise(resolve => setTimeout(resolve, 5000));
+    await pause(session, 5000);
     
     // Log the current URL to help with debugging
     const currentUrl = await page.url();
-    console.log(`Current page URL: ${currentUrl}`);
+    session.log(`Current page URL: ${currentUrl}`);
+    return { timedOut };
 }
 
-async function verifyJobDetailsPage(page) {
-    console.log("Checking if we're on the job details page...");
-    const onJobPage = await page.evaluate(() => {
-        return !!document.querySelector('#jobDetailApplyButtonDesktop') || 
-            !!document.querySelector('.jobDetailScheduleDropdown') ||
-            !!document.querySelector('[data-testid="job-detail-apply-button"]') ||
-            document.title.includes('Job Details');
-    });
+async function verifyJobDetailsPage(session, page) {
+    session.log("Checking if we're on the job details page...");
+    const onJobPage = !!await session.selectors.find(page, 'jobDetailsPage') ||
+        await page.evaluate(() => document.title.includes('Job Details'));
     
     if (onJobPage) {
-        console.log("Successfully navigated to job details page");
+        session.log("Successfully navigated to job details page");
         return true;
     } else {
-        console.log("May not be on job details page");
+        session.log("May not be on job details page");
         // Wait a bit longer in case page is still loading
-        await new Promise(resolve => setTimeout(resolve, 5000));
+        await pause(session, 5000);
         return false;
     }
 }
 
-async function handleShiftSelection(page) {
-    console.log("Looking for shift selection dropdown...");
+// Pick the best shift for the session's preferences, returns a failure reason when none qualify
+async function handleShiftSelection(session, page) {
+    session.log("Looking for shift selection dropdown...");
     
     // Check if shift selection is present before interacting
-    const hasShiftDropdown = await page.evaluate(() => {
-        // Look for different possible selectors for the dropdown
-        const selectors = [
-            '.jobDetailScheduleDropdown.hvh-careers-emotion-1uzwmf0',
-            '.jobDetailScheduleDropdown',
-            '[data-testid="shift-preference-dropdown"]',
-            'select[name="shift"]',
-            '[aria-label="Select shift"]',
-            '.scheduleFlyoutSelection',
-            '.hvh-careers-emotion-wp352q'
-        ];
-        
-        for (const selector of selectors) {
-            if (document.querySelector(selector)) {
-                return selector;
-            }
-        }
-        return null;
-    });
+    const hasShiftDropdown = await session.selectors.find(page, 'shiftDropdown');
     
     if (!hasShiftDropdown) {
-        console.log("No shift dropdown found. Will proceed directly to apply button...");
-        return;
+        session.log("No shift dropdown found. Will proceed directly to apply button...");
+        return { shift: null };
     }
     
-    console.log(`Shift dropdown found with selector: ${hasShiftDropdown}`);
+    session.log(`Shift dropdown found with selector: ${hasShiftDropdown}`);
     // Wait a moment before interacting
-    await new Promise(resolve => setTimeout(resolve, 4000));
+    await pause(session, 4000);
     
     try {
         await page.click(hasShiftDropdown);
-        await new Promise(resolve => setTimeout(resolve, 4000));                                     
+        await pause(session, 4000);
        
         // Look for dropdown options
-        console.log("Looking for shift options...");
-        const optionsExist = await findShiftOptions(page);
-        
-        if (optionsExist) {
-            console.log(`Found ${optionsExist.count} shift options with selector: ${optionsExist.selector}`);
-            
-            // Click the first option
-            await page.click(`${optionsExist.selector}:first-of-type`);
-            console.log("Clicked first shift option");
-            
-            // Give it a moment to register the selection
-            await new Promise(resolve => setTimeout(resolve, 3000));
-        } else {
-            console.log("Could not find shift options. Trying direct approach...");
-            
-            // Try a more direct approach
-            await clickFirstAvailableShift(page);
-            
-            // Wait for selection to register
-            await new Promise(resolve => setTimeout(resolve, 3000));
-        }
-    } catch (dropdownError) {
-        console.error(`Error interacting with dropdown: ${dropdownError.message}`);
-    }
-}
-
-async function findShiftOptions(page) {
-    return await page.evaluate(() => {
-        // First try the specific selector structure from screenshot
-        const shiftItems = document.querySelectorAll('.hvh-careers-emotion-1ewhhfh');
-        if (shiftItems && shiftItems.length > 0) {
-            return { selector: '.hvh-careers-emotion-1ewhhfh', count: shiftItems.length };
-        }
+        session.log("Looking for shift options...");
+        const optionSelector = await session.selectors.find(page, 'shiftOption');
         
-        // Alternative: try getting the first shift container
-        const shiftContainer = document.querySelector('.hvh-careers-emotion-15qbkvn');
-        if (shiftContainer) {
-            // Get the first clickable child element
-            const firstShift = shiftContainer.querySelector('div[role="button"]') || 
-                            shiftContainer.querySelector('div.pointer') ||
-                            shiftContainer.firstElementChild;
-            
-            if (firstShift) {
-                // Add a data attribute so we can select it
-                firstShift.setAttribute('data-first-shift', 'true');
-                return { selector: '[data-first-shift="true"]', count: 1 };
-            }
+        if (!optionSelector) {
+            return { failureReason: 'noShiftOptions', reason: 'no shift options found' };
         }
         
-        // Fallback to other selectors
-        const optionSelectors = [
-            'option',
-            'li[role="option"]',
-            '[role="option"]',
-            '.dropdown-item',
-            'div[role="button"]',
-            '.pointer'
-        ];
+        const shiftOptions = await page.$$eval(optionSelector, options => options.map(option => ({
+            text: (option.innerText || option.textContent || '').trim(),
+            disabled: option.disabled === true || option.getAttribute('aria-disabled') === 'true',
+            placeholder: option.tagName === 'OPTION' && option.value === ''
+        })));
+        session.log(`Found ${shiftOptions.length} shift options with selector: ${optionSelector}`);
         
-        for (const selector of optionSelectors) {
-            const options = document.querySelectorAll(selector);
-            if (options.length > 0) {
-                return { selector, count: options.length };
-            }
+        const { best, ranked } = pickBestShift(shiftOptions, session.config.SHIFT_PREFERENCES);
+        if (ranked.length === 0) {
+            return { failureReason: 'noShiftOptions', reason: 'only placeholder or disabled shift options found' };
         }
+        ranked.forEach(option => {
+            session.log(`  ${option.acceptable ? '✔' : '✘'} ${option.shift.text}${option.acceptable ? ` (score ${option.score})` : ` - ${option.rejections.join(', ')}`}`);
+        });
         
-        return null;
-    });
-}
-
-async function clickFirstAvailableShift(page) {
-    await page.evaluate(() => {
-        // Try to find and click the first shift item by looking at the DOM structure
-        const shiftItems = document.querySelectorAll('div.pointer');
-        if (shiftItems && shiftItems.length > 0) {
-            shiftItems[0].click();
-            return true;
+        if (!best) {
+            return { failureReason: 'noAcceptableShift', reason: 'no shift matches the shift preferences' };
         }
         
-        // Another approach - find anything that looks like a shift item
-        const allDivs = document.querySelectorAll('div');
-        for (const div of allDivs) {
-            if (div.innerText && div.innerText.includes('Flexible Shifts')) {
-                div.click();
-                return true;
-            }
+        const options = await page.$$(optionSelector);
+        const isNativeOption = await options[best.index].evaluate(option => option.tagName === 'OPTION');
+        if (isNativeOption) {
+            const value = await options[best.index].evaluate(option => option.value);
+            await page.select(hasShiftDropdown, value);
+        } else {
+            await options[best.index].click();
         }
+        session.log(`Selected shift: ${best.shift.text}`);
         
-        return false;
-    });
+        // Give it a moment to register the selection
+        await pause(session, 3000);
+        return {
+            shift: best.shift,
+            score: best.score,
+            rejected: ranked.filter(option => !option.acceptable).map(option => ({ text: option.shift.text, rejections: option.rejections }))
+        };
+    } catch (dropdownError) {
+        session.error(`Error interacting with dropdown: ${dropdownError.message}`);
+        return { failureReason: 'shiftSelectionFailed', reason: `shift selection failed: ${dropdownError.message}` };
+    }
 }
 
-async function clickApplyButton(page) {
-    console.log("Looking for apply button...");
-    const applyButtonSelector = await findApplyButton(page);
+// Click the apply button, returns a failure reason if it couldn't
+async function clickApplyButton(session, page) {
+    session.log("Looking for apply button...");
+    const applyButtonSelector = await findApplyButton(session, page);
     
     if (!applyButtonSelector) {
-        console.log("No apply button found. Taking screenshot and searching page content...");
+        session.log("No apply button found. Searching page content...");
         
         // Try a different approach - look at page text
         const pageHasApplyText = await page.evaluate(() => {
@@ -417,16 +691,16 @@ async function clickApplyButton(page) {
         });
         
         if (pageHasApplyText) {
-            console.log("Page contains 'apply' text but button not found with selectors.");
+            session.log("Page contains 'apply' text but button not found with selectors.");
         }
         
-        return false;
+        return { failureReason: 'applyButtonNotFound', reason: 'apply button not found' };
     }
     
-    console.log(`Apply button found with selector: ${applyButtonSelector}`);
+    session.log(`Apply button found with selector: ${applyButtonSelector}`);
     
     // Wait a moment before clicking
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    await pause(session, 2000);
     
     try {
         // Click the apply button, opening in new tab
@@ -439,38 +713,22 @@ async function clickApplyButton(page) {
             }
         }, applyButtonSelector);
         
-        console.log("✅ Apply button clicked successfully!");
-        return true;
+        session.log("✅ Apply button clicked successfully!");
+        return {};
         
     } catch (applyError) {
-        console.error(`Error clicking apply button: ${applyError.message}`);
-        return false;
+        session.error(`Error clicking apply button: ${applyError.message}`);
+        return { failureReason: 'applyClickFailed', reason: `apply click failed: ${applyError.message}` };
     }
 }
 
-async function findApplyButton(page) {
+async function findApplyButton(session, page) {
+    const selector = await session.selectors.find(page, 'applyButton');
+    if (selector) {
+        return selector;
+    }
+    
     return await page.evaluate(() => {
-        // Check multiple possible selectors
-        const buttonSelectors = [
-            '#jobDetailApplyButtonDesktop',
-            '[data-testid="job-detail-apply-button"]',
-            'a.apply-button',
-            'button.apply-button',
-            'a[href*="apply"]',
-            '.hvh-careers-emotion-[class*="applyButton"]'
-        ];
-        
-        for (const selector of buttonSelectors) {
-            try {
-                const button = document.querySelector(selector);
-                if (button) {
-                    return selector;
-                }
-            } catch (e) {
-                // Ignore errors from invalid selectors
-            }
-        }
-        
         // Look for buttons with "Apply" text
         const buttons = Array.from(document.querySelectorAll('button, a.button, a.btn'));
         for (const button of buttons) {
@@ -485,29 +743,137 @@ async function findApplyButton(page) {
     });
 }
 
-async function navigateBack(page, fallbackUrl) {
-    console.log("Returning to search results...");
+async function navigateBack(session, page, fallbackUrl) {
+    session.log("Returning to search results...");
     try {
         await page.goBack({ waitUntil: "domcontentloaded", timeout: 30000 });
         // Wait for the search page to load
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        await pause(session, 3000);
     } catch (backError) {
-        console.error(`Error going back: ${backError.message}`);
+        session.error(`Error going back: ${backError.message}`);
         // If going back fails, navigate to the search URL again
         await page.goto(fallbackUrl, { 
             waitUntil: "domcontentloaded",
             timeout: 60000 
         });
         // Wait for the search page to load
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        await pause(session, 3000);
+    }
+}
+
+// One-line summary of a scraped job and whatever metadata its card showed
+function formatJob(job) {
+    const details = [
+        job.isNew ? 'NEW' : null,
+        job.payText,
+        job.location && `${job.location}${job.distance !== null ? ` (${job.distance} mi)` : ''}`,
+        job.jobType,
+        job.shiftCount !== null ? `${job.shiftCount} shift(s)` : null
+    ].filter(Boolean);
+    return details.length > 0 ? `${job.title} - ${details.join(' | ')}` : job.title;
+}
+
+// Log how an attempt ended and what the retry policy decided, and keep it for /status
+function reportAttempt(session, job, result, decision) {
+    session.lastAttempt = {
+        jobId: job.id,
+        title: job.title,
+        at: new Date().toISOString(),
+        outcome: result.outcome,
+        state: result.state,
+        failureReason: result.failureReason,
+        failedIn: result.failedIn ?? null,
+        reason: result.reason,
+        retry: decision
+    };
+    if (result.outcome === 'applied') {
+        session.log(`🏁 Apply attempt for ${job.title} confirmed`);
+        return;
+    }
+    if (result.outcome === 'observed') {
+        session.log(`🏁 Dry run for ${job.title} stopped before applying`);
+        return;
     }
+
+    const next = {
+        retry: 'retrying now',
+        backoff: `retrying after ${new Date(decision.retryAt).toLocaleTimeString()}`,
+        giveUp: 'giving up on this job'
+    }[decision.action];
+    session.warn(`🏁 Apply attempt for ${job.title} ${result.outcome} while ${result.failedIn}: ${result.failureReason} (${result.reason}) - ${next}`);
+}
+
+// Warn when a chain's primary selector stops matching, and note when it recovers
+function reportSelectorDrift(session) {
+    const drifted = session.selectors.drift();
+    const previous = session.selectorDrift || [];
+    
+    drifted.forEach(({ chain, primary, matched }) => {
+        if (!previous.some(entry => entry.chain === chain)) {
+            session.warn(matched
+                ? `⚠️ Selector drift in "${chain}": primary selector ${primary} no longer matches, fell back to ${matched}`
+                : `⚠️ Selector drift in "${chain}": no selector in the chain matched (primary ${primary})`);
+        }
+    });
+    
+    previous.forEach(({ chain }) => {
+        const resolved = session.selectors.report()[chain];
+        if (resolved && resolved.index === 0) {
+            session.log(`✅ Selector chain "${chain}" is matching its primary selector again`);
+        }
+    });
+    
+    // Chains not resolved this cycle keep their previous drift state
+    session.selectorDrift = [
+        ...previous.filter(entry => !session.selectors.report()[entry.chain]),
+        ...drifted
+    ];
 }
 
-async function waitRandomTime(baseMs, randomMs, message = null) {
+async function waitRandomTime(session, baseMs, randomMs, message = null) {
     const delay = Math.floor(Math.random() * randomMs) + baseMs;
     if (message) {
-        console.log(`${message}: ${delay}ms`);
+        session.log(`${message}: ${delay}ms`);
     }
-    await new Promise(resolve => setTimeout(resolve, delay));
+    await pause(session, delay);
     return delay;
+}
+
+// Wait between cycles, cut short when a job is requested from the dashboard
+async function waitForNextCycle(session, baseMs, randomMs, message) {
+    if (session.requestedJobs.length > 0) {
+        return;
+    }
+    const delay = Math.floor(Math.random() * randomMs) + baseMs;
+    session.log(`${message}: ${delay}ms`);
+    await new Promise(resolve => {
+        const timer = setTimeout(resolve, delay * (session.config.DELAY_SCALE ?? 1));
+        session.wake = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+    });
+    session.wake = null;
+}
+
+// Wait outside the schedule's windows, checking regularly so a stop takes effect quickly
+async function sleepUntilScheduled(session) {
+    const { nextRunAt } = session.schedule;
+    if (session.status !== 'sleeping') {
+        session.setStatus('sleeping');
+        session.log(`😴 Outside scheduled hours, next run at ${nextRunAt ? new Date(nextRunAt).toLocaleString() : 'never'}`);
+    }
+
+    const wakeAt = nextRunAt ? new Date(nextRunAt).getTime() : Infinity;
+    while (session.isRunning && Date.now() < wakeAt) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(SLEEP_CHECK_INTERVAL, wakeAt - Date.now())));
+    }
+    if (session.isRunning) {
+        session.log("⏰ Scheduled hours started, resuming monitoring");
+    }
+}
+
+// Fixed wait, shortened by DELAY_SCALE when running against the mock site
+async function pause(session, ms) {
+    await new Promise(resolve => setTimeout(resolve, ms * (session.config.DELAY_SCALE ?? 1)));
 }
\ No newline at end of file
@@ -0,0 +1,142 @@
+import fs from 'fs/promises';
+import { execFile } from 'child_process';
+import nodemailer from 'nodemailer';
+import { logger } from './logger.js';
+
+// Events the monitor reports, with the message sent when a channel has no template of its own
+export const NOTIFY_EVENTS = {
+    jobMatched: '🎯 Matching job found: {{job.title}} ({{job.payText}}, {{job.location}}) {{job.link}}',
+    applyClicked: '✅ Apply clicked for {{job.title}} - shift: {{shift.text}}',
+    applyCompleted: '🎉 Application submitted for {{job.title}} after {{steps}} step(s)',
+    applyFailed: '❌ Apply failed for {{job.title}}: {{reason}}',
+    browserRestarted: '🔁 Browser for session {{sessionId}} restarted with profile {{profile}} ({{budgetUsed}}/{{budget}} restarts this window)',
+    monitorCrashed: '💥 Monitor session {{sessionId}} crashed: {{error}}'
+};
+
+const CHANNEL_FIELDS = {
+    webhook: ['url'],
+    email: ['host', 'port', 'from', 'to'],
+    command: ['command']
+};
+
+let channels = [];
+
+// Fill {{path.to.value}} placeholders from the event data, missing values become "n/a"
+export const renderTemplate = (template, data) => template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((current, part) => current?.[part], data);
+    return value === undefined || value === null ? 'n/a' : String(value);
+});
+
+// Check channel definitions, throws with a readable message if one is wrong
+export const validateChannels = (definitions) => {
+    if (!Array.isArray(definitions)) {
+        throw new Error('Notification channels must be an array');
+    }
+
+    definitions.forEach((channel, index) => {
+        const label = `Notification channel ${index + 1}`;
+        if (!channel || !CHANNEL_FIELDS[channel.type]) {
+            throw new Error(`${label} needs a type of ${Object.keys(CHANNEL_FIELDS).join(', ')}`);
+        }
+
+        const missing = CHANNEL_FIELDS[channel.type].filter(field => channel[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`${label} (${channel.type}) is missing: ${missing.join(', ')}`);
+        }
+
+        const unknownEvents = (channel.events || []).filter(event => !NOTIFY_EVENTS[event]);
+        if (unknownEvents.length > 0) {
+            throw new Error(`${label} has unknown events: ${unknownEvents.join(', ')}, expected: ${Object.keys(NOTIFY_EVENTS).join(', ')}`);
+        }
+    });
+
+    return definitions;
+};
+
+// Replace the active channels
+export const setNotificationChannels = (definitions) => {
+    channels = validateChannels(definitions);
+};
+
+// Load channels from a JSON file, a missing file just means no notifications
+export const loadNotificationChannels = async (filePath) => {
+    try {
+        const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        setNotificationChannels(data.channels || []);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Could not load notification channels from ${filePath}: ${error.message}`);
+        }
+        setNotificationChannels([]);
+    }
+    return channels;
+};
+
+const sendWebhook = async (channel, event, message, data) => {
+    const response = await fetch(channel.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...channel.headers },
+        body: JSON.stringify({ event, message, ...data }),
+        signal: AbortSignal.timeout(channel.timeout || 10000)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+    }
+};
+
+const sendEmail = async (channel, event, message, data) => {
+    const transport = nodemailer.createTransport({
+        host: channel.host,
+        port: channel.port,
+        secure: !!channel.secure,
+        auth: channel.auth,
+        // Local stand-in SMTP servers don't speak TLS
+        ignoreTLS: !!channel.ignoreTLS
+    });
+
+    await transport.sendMail({
+        from: channel.from,
+        to: channel.to,
+        subject: renderTemplate(channel.subject || `Amazon Jobs Monitor: ${event}`, data),
+        text: message
+    });
+};
+
+const runCommand = (channel, event, message, data) => new Promise((resolve, reject) => {
+    // Arguments are templates too, e.g. ["Amazon Jobs", "{{message}}"] for notify-send
+    const args = (channel.args || ['{{message}}']).map(arg => renderTemplate(arg, { ...data, message }));
+
+    execFile(channel.command, args, { timeout: channel.timeout || 10000 }, (error) => {
+        if (error) {
+            reject(new Error(`Command ${channel.command} failed: ${error.message}`));
+        } else {
+            resolve();
+        }
+    });
+});
+
+const SENDERS = {
+    webhook: sendWebhook,
+    email: sendEmail,
+    command: runCommand
+};
+
+// Send an event to every channel that subscribes to it, failures are logged and never thrown
+export const notify = async (event, data = {}) => {
+    const payload = { event, time: new Date().toISOString(), ...data };
+    const targets = channels.filter(channel => !channel.events || channel.events.includes(event));
+
+    const results = await Promise.allSettled(targets.map(channel => {
+        const message = renderTemplate(channel.templates?.[event] || channel.template || NOTIFY_EVENTS[event], payload);
+        return SENDERS[channel.type](channel, event, message, payload);
+    }));
+
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            logger.error(`Error sending ${event} notification via ${targets[index].type}: ${result.reason.message}`);
+        }
+    });
+
+    return results;
+};
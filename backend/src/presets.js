@@ -0,0 +1,125 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createJsonStore } from './jsonStore.js';
+import { configFromRequest } from './config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Named sets of links, positions, profiles and interval the dashboard can load and start from
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', 'data', 'presets.json');
+
+const MAX_NAME_LENGTH = 100;
+
+const presetStore = createJsonStore({
+    name: 'preset store',
+    pathEnv: 'PRESET_STORE_PATH',
+    defaultPath: DEFAULT_STORE_PATH,
+    fromFile: (data) => (data.presets || []).map(preset => [preset.name, preset]),
+    toFile: (presets) => ({ presets: Array.from(presets.values()) })
+});
+
+const load = presetStore.load;
+
+// Save the store after changing the named presets. If the write fails they're put back the way
+// they were, so what's listed matches what's on disk, and the error is passed on.
+const save = async (store, names, previous) => {
+    try {
+        await presetStore.save();
+    } catch (error) {
+        names.forEach((name, index) => previous[index] ? store.set(name, previous[index]) : store.delete(name));
+        throw error;
+    }
+};
+
+// Check a preset and keep only the settings it stores, throws with a readable message if it's
+// wrong. Uses the same checks as /start so a saved preset can always be started.
+export const validatePreset = (name, preset) => {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+        throw new Error(`Preset name must be text of 1 to ${MAX_NAME_LENGTH} characters`);
+    }
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        throw new Error(`Preset "${name}" must be an object`);
+    }
+
+    // Checked here because configFromRequest would fill missing ones in from the live config
+    ['links', 'positions'].forEach(field => {
+        if (preset[field] === undefined || preset[field] === null) {
+            throw new Error(`Preset "${name}": ${field} is required`);
+        }
+    });
+
+    const { links, positions, profiles = null, refreshInterval = null } = preset;
+    let config;
+    try {
+        config = configFromRequest({ links, positions, profiles: profiles ?? undefined, refreshInterval: refreshInterval ?? undefined });
+    } catch (error) {
+        throw new Error(`Preset "${name}": ${error.message}`);
+    }
+    if (config.JOB_LINKS.length === 0 || !config.JOB_LINKS.every(link => link.startsWith('https://hiring.amazon'))) {
+        throw new Error(`Preset "${name}": links must be one or more Amazon job links`);
+    }
+    if (config.TARGET_JOBS.length === 0) {
+        throw new Error(`Preset "${name}": positions must include at least one position`);
+    }
+
+    return {
+        name: name.trim(),
+        links: config.JOB_LINKS,
+        positions: config.TARGET_JOBS,
+        // null leaves the choice to the config when the preset is started
+        profiles: profiles === null ? null : config.CHROME_PROFILES,
+        refreshInterval: refreshInterval === null ? null : config.REFRESH_INTERVAL
+    };
+};
+
+export const listPresets = async () => Array.from((await load()).values())
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+export const getPreset = async (name) => (await load()).get(name) || null;
+
+// Create or replace a preset, returns it and whether it's new
+export const savePreset = async (name, preset) => {
+    const store = await load();
+    const validated = validatePreset(name, preset);
+    const existing = store.get(validated.name);
+    const now = new Date().toISOString();
+
+    const saved = { ...validated, createdAt: existing?.createdAt || now, updatedAt: now };
+    store.set(saved.name, saved);
+    await save(store, [saved.name], [existing]);
+    return { preset: saved, created: !existing };
+};
+
+// Remove a preset, returns false if there's none by that name
+export const deletePreset = async (name) => {
+    const store = await load();
+    const existing = store.get(name);
+    if (!store.delete(name)) {
+        return false;
+    }
+    await save(store, [name], [existing]);
+    return true;
+};
+
+// Check a list of exported presets, throws on the first one that's wrong
+export const validatePresetList = (list) => {
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error('Import must be a non-empty list of presets');
+    }
+    return list.map(preset => validatePreset(preset?.name, preset));
+};
+
+// Save a list of exported presets, replacing any with the same name. Every preset is checked
+// before anything is saved, so a bad file changes nothing.
+export const importPresets = async (list) => {
+    const validated = validatePresetList(list);
+    const store = await load();
+    const now = new Date().toISOString();
+    const names = validated.map(preset => preset.name);
+    const previous = names.map(name => store.get(name));
+    validated.forEach(preset => {
+        store.set(preset.name, { ...preset, createdAt: store.get(preset.name)?.createdAt || now, updatedAt: now });
+    });
+    await save(store, names, previous);
+    return validated.length;
+};
@@ -0,0 +1,233 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+import { createJsonStore } from './jsonStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Labels, enabled flags and health of every profile, kept apart from the Chrome user-data directory
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', 'data', 'profile-health.json');
+
+// Failures in a row before a profile is put in cooldown, launch failures cool it down at once
+const FAILURE_LIMIT = 2;
+// Repeated cooldowns double, up to this many times the configured length
+const MAX_COOLDOWN_FACTOR = 16;
+
+// Profile name -> IDs of the sessions currently running on it
+const inUse = new Map();
+
+const healthStore = createJsonStore({
+    name: 'profile store',
+    pathEnv: 'PROFILE_STORE_PATH',
+    defaultPath: DEFAULT_STORE_PATH,
+    fromFile: (data) => Object.entries(data.profiles || {}),
+    toFile: (profiles) => ({ profiles: Object.fromEntries(profiles) })
+});
+
+const load = healthStore.load;
+const save = healthStore.save;
+
+// Health bookkeeping while monitoring, a failed write is logged rather than stopping the session
+const saveHealth = () => save().catch(error => logger.error(error.message));
+
+const newRecord = () => ({
+    label: null,
+    enabled: null, // null follows CHROME_PROFILES, true/false is an explicit choice
+    lastUsedAt: null,
+    lastSuccessAt: null,
+    failures: 0,
+    consecutiveFailures: 0,
+    lastFailure: null,
+    cooldownUntil: null
+});
+
+const getRecord = (store, name) => {
+    if (!store.has(name)) {
+        store.set(name, newRecord());
+    }
+    return store.get(name);
+};
+
+// Profiles Chrome knows about in a user-data directory, with the display names and signed-in
+// accounts from its Local State file. Profile folders missing from Local State are listed too.
+export const discoverProfiles = async (userDataDir) => {
+    if (!userDataDir) {
+        return [];
+    }
+
+    let infoCache = {};
+    try {
+        const localState = JSON.parse(await fs.readFile(path.join(userDataDir, 'Local State'), 'utf8'));
+        infoCache = localState.profile?.info_cache || {};
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`Could not read Chrome's Local State in ${userDataDir}: ${error.message}`);
+        }
+    }
+
+    let folders = [];
+    try {
+        folders = (await fs.readdir(userDataDir, { withFileTypes: true }))
+            .filter(entry => entry.isDirectory() && /^(Default|Profile \d+)$/.test(entry.name))
+            .map(entry => entry.name);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`Could not list Chrome profiles in ${userDataDir}: ${error.message}`);
+        }
+    }
+
+    return [...new Set([...Object.keys(infoCache), ...folders])].map(name => {
+        const info = infoCache[name] || {};
+        return {
+            name,
+            displayName: info.name || null,
+            account: info.user_name || null,
+            signedIn: info.name ? !!(info.user_name || info.gaia_id) : null
+        };
+    });
+};
+
+const isEnabled = (record, configuredProfiles, name) => record.enabled ?? configuredProfiles.includes(name);
+
+const isCoolingDown = (record, now) => !!record.cooldownUntil && new Date(record.cooldownUntil).getTime() > now;
+
+// Every configured, discovered or previously used profile with its label and health
+export const listProfiles = async (config, now = Date.now()) => {
+    const store = await load();
+    const discovered = await discoverProfiles(config.USER_DATA_DIR);
+    const names = [...new Set([...config.CHROME_PROFILES, ...discovered.map(profile => profile.name), ...store.keys()])];
+
+    return names.map(name => {
+        const record = store.get(name) || newRecord();
+        const found = discovered.find(profile => profile.name === name);
+        return {
+            name,
+            displayName: found?.displayName || null,
+            account: found?.account || null,
+            signedIn: found?.signedIn ?? null,
+            discovered: !!found,
+            configured: config.CHROME_PROFILES.includes(name),
+            label: record.label,
+            enabled: isEnabled(record, config.CHROME_PROFILES, name),
+            inUse: Array.from(inUse.get(name) || []),
+            health: {
+                lastUsedAt: record.lastUsedAt,
+                lastSuccessAt: record.lastSuccessAt,
+                failures: record.failures,
+                consecutiveFailures: record.consecutiveFailures,
+                lastFailure: record.lastFailure,
+                cooldownUntil: isCoolingDown(record, now) ? record.cooldownUntil : null
+            }
+        };
+    });
+};
+
+// Change a profile's label or enabled flag, returns false if nothing is known about the profile
+export const updateProfile = async (config, name, { label, enabled }) => {
+    const known = (await listProfiles(config)).some(profile => profile.name === name);
+    if (!known) {
+        return false;
+    }
+
+    const record = getRecord(await load(), name);
+    if (label !== undefined) {
+        record.label = label || null;
+    }
+    if (enabled !== undefined) {
+        record.enabled = enabled;
+    }
+    await save();
+    return true;
+};
+
+// Forget a profile's failures and end its cooldown
+export const resetProfileHealth = async (name) => {
+    const store = await load();
+    if (!store.has(name)) {
+        return false;
+    }
+
+    Object.assign(store.get(name), { failures: 0, consecutiveFailures: 0, lastFailure: null, cooldownUntil: null });
+    await save();
+    return true;
+};
+
+// Pick the healthiest enabled profile out of the session's CHROME_PROFILES plus any enabled
+// through /profiles, and mark it in use by the session. Profiles other sessions are running on
+// are only shared when every other one is busy too, and profiles in cooldown only when nothing
+// else is available, the one whose cooldown ends first.
+export const acquireProfile = async (session, now = Date.now()) => {
+    const store = await load();
+    const configured = session.config.CHROME_PROFILES;
+    const candidates = [...new Set([...configured, ...Array.from(store.keys()).filter(name => store.get(name).enabled === true)])]
+        .filter(name => isEnabled(getRecord(store, name), configured, name));
+    if (candidates.length === 0) {
+        throw new Error('No enabled Chrome profiles, enable one through /profiles or CHROME_PROFILES');
+    }
+
+    const discovered = await discoverProfiles(session.config.HEADLESS ? null : session.config.USER_DATA_DIR);
+    const signedIn = (name) => discovered.find(profile => profile.name === name)?.signedIn ? 1 : 0;
+    const busy = (name) => Array.from(inUse.get(name) || []).filter(id => id !== session.id).length;
+    const lastUsed = (name) => store.get(name).lastUsedAt || '';
+
+    const available = candidates.filter(name => !isCoolingDown(store.get(name), now));
+    const free = available.filter(name => busy(name) === 0);
+
+    // Fewest failures first, then the least shared, signed-in ones and the least recently used
+    const ranked = (free.length > 0 ? free : available)
+        .sort((a, b) => store.get(a).consecutiveFailures - store.get(b).consecutiveFailures ||
+            busy(a) - busy(b) ||
+            signedIn(b) - signedIn(a) ||
+            lastUsed(a).localeCompare(lastUsed(b)));
+    const name = ranked[0] || candidates.sort((a, b) => store.get(a).cooldownUntil.localeCompare(store.get(b).cooldownUntil))[0];
+    if (!ranked[0]) {
+        session.warn(`⚠️ Every Chrome profile is cooling down, using ${name} whose cooldown ends first`);
+    } else if (free.length === 0) {
+        session.warn(`⚠️ Every Chrome profile is in use by another session, sharing ${name}`);
+    }
+
+    releaseProfile(session);
+    inUse.set(name, new Set([...(inUse.get(name) || []), session.id]));
+    store.get(name).lastUsedAt = new Date(now).toISOString();
+    await saveHealth();
+    return name;
+};
+
+// The session no longer runs on its profile
+export const releaseProfile = (session) => {
+    inUse.forEach((ids, name) => {
+        ids.delete(session.id);
+        if (ids.size === 0) {
+            inUse.delete(name);
+        }
+    });
+};
+
+// A cycle completed on the profile, its failure streak is over. Only saved when that ends a streak
+// or cooldown, otherwise lastSuccessAt goes out with the next write instead of on every cycle.
+// Returns whether the store was saved.
+export const recordProfileSuccess = async (name) => {
+    const record = getRecord(await load(), name);
+    const changed = record.consecutiveFailures > 0 || record.cooldownUntil !== null;
+    Object.assign(record, { consecutiveFailures: 0, cooldownUntil: null, lastSuccessAt: new Date().toISOString() });
+    if (changed) {
+        await saveHealth();
+    }
+    return changed;
+};
+
+// Record a browser failure on a profile and start a cooldown once it keeps failing
+export const recordProfileFailure = async (name, failure, cooldownMinutes, now = Date.now()) => {
+    const record = getRecord(await load(), name);
+    record.failures++;
+    record.consecutiveFailures++;
+    record.lastFailure = { reason: failure.reason, details: failure.details, at: new Date(now).toISOString() };
+
+    if (failure.reason === 'launchFailed' || record.consecutiveFailures >= FAILURE_LIMIT) {
+        const factor = Math.min(2 ** Math.max(record.consecutiveFailures - FAILURE_LIMIT, 0), MAX_COOLDOWN_FACTOR);
+        record.cooldownUntil = new Date(now + cooldownMinutes * factor * 60 * 1000).toISOString();
+    }
+    await saveHealth();
+    return record;
+};
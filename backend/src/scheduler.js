@@ -0,0 +1,115 @@
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Minutes after midnight for an "HH:MM" string
+const toMinutes = (time) => {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+};
+
+const validateWindows = (windows, name) => {
+    if (!Array.isArray(windows)) {
+        throw new Error(`schedule.${name} must be an array`);
+    }
+
+    windows.forEach((window, index) => {
+        const label = `schedule.${name}[${index}]`;
+        if (!window || typeof window !== 'object') {
+            throw new Error(`${label} must be an object like { "days": ["Mon"], "start": "06:00", "end": "23:00" }`);
+        }
+        if (window.days !== undefined && (!Array.isArray(window.days) || window.days.some(day => !DAYS.includes(day)))) {
+            throw new Error(`${label}.days must be a list of ${DAYS.join(', ')}`);
+        }
+        ['start', 'end'].forEach(field => {
+            if (typeof window[field] !== 'string' || !TIME_PATTERN.test(window[field])) {
+                throw new Error(`${label}.${field} must be a 24-hour "HH:MM" time`);
+            }
+        });
+    });
+};
+
+// Check a schedule from a request body, throws with a readable message if it's wrong
+export const validateSchedule = (schedule) => {
+    if (schedule === undefined || schedule === null) {
+        return null;
+    }
+    if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+        throw new Error('schedule must be an object');
+    }
+
+    validateWindows(schedule.windows || [], 'windows');
+    validateWindows(schedule.peakWindows || [], 'peakWindows');
+
+    ['peakInterval', 'offPeakInterval'].forEach(field => {
+        if (schedule[field] !== undefined && (typeof schedule[field] !== 'number' || schedule[field] < 1000)) {
+            throw new Error(`schedule.${field} must be a number of milliseconds, at least 1000`);
+        }
+    });
+
+    return schedule;
+};
+
+// Check if a time falls inside a window. Windows whose end is before their start run past
+// midnight, and their days name the day they start on.
+const isInWindow = (window, now) => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const days = window.days || DAYS;
+    const today = DAYS[now.getDay()];
+
+    if (start < end) {
+        return days.includes(today) && minutes >= start && minutes < end;
+    }
+
+    // Overnight window: either the part after today's start, or the tail of yesterday's
+    const yesterday = DAYS[(now.getDay() + 6) % 7];
+    return (days.includes(today) && minutes >= start) || (days.includes(yesterday) && minutes < end);
+};
+
+const isInAnyWindow = (windows, now) => windows.some(window => isInWindow(window, now));
+
+// Next time any window opens after the given time
+const nextWindowStart = (windows, now) => {
+    let next = null;
+
+    for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+        const date = new Date(now);
+        date.setDate(date.getDate() + dayOffset);
+
+        windows.forEach(window => {
+            if (!(window.days || DAYS).includes(DAYS[date.getDay()])) {
+                return;
+            }
+            const start = toMinutes(window.start);
+            const candidate = new Date(date);
+            candidate.setHours(Math.floor(start / 60), start % 60, 0, 0);
+            if (candidate > now && (!next || candidate < next)) {
+                next = candidate;
+            }
+        });
+    }
+
+    return next;
+};
+
+// Work out whether a session should poll right now and how often.
+// mode is "always" (no schedule), "sleeping" (outside every window), "peak" or "off-peak".
+export const getScheduleState = (schedule, defaultInterval, now = new Date()) => {
+    if (!schedule) {
+        return { mode: 'always', interval: defaultInterval, nextRunAt: null };
+    }
+
+    const windows = schedule.windows || [];
+    if (windows.length > 0 && !isInAnyWindow(windows, now)) {
+        const next = nextWindowStart(windows, now);
+        return { mode: 'sleeping', interval: null, nextRunAt: next ? next.toISOString() : null };
+    }
+
+    const peakWindows = schedule.peakWindows || [];
+    if (isInAnyWindow(peakWindows, now)) {
+        return { mode: 'peak', interval: schedule.peakInterval ?? defaultInterval, nextRunAt: null };
+    }
+
+    return { mode: 'off-peak', interval: schedule.offPeakInterval ?? defaultInterval, nextRunAt: null };
+};
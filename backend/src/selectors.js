@@ -0,0 +1,92 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Selector profile used when a session doesn't name one
+export const DEFAULT_SELECTOR_PROFILE = path.join(__dirname, '..', 'selectors', 'amazon.json');
+
+// Load and validate a selector profile file
+export const loadSelectorProfile = async (profilePath = DEFAULT_SELECTOR_PROFILE) => {
+    const profile = JSON.parse(await fs.readFile(profilePath, 'utf8'));
+
+    if (!profile.version || !profile.chains || typeof profile.chains !== 'object') {
+        throw new Error(`Invalid selector profile ${profilePath}: expected "version" and "chains"`);
+    }
+
+    for (const [key, chain] of Object.entries(profile.chains)) {
+        if (!Array.isArray(chain.selectors) || chain.selectors.length === 0 ||
+            !chain.selectors.every(selector => typeof selector === 'string')) {
+            throw new Error(`Invalid selector profile ${profilePath}: chain "${key}" needs a non-empty list of selectors`);
+        }
+    }
+
+    return profile;
+};
+
+// Create a per-cycle tracker that resolves fallback chains and records which selector matched
+export const createSelectorTracker = (profile) => {
+    const matches = {};
+
+    const getChain = (key) => {
+        const chain = profile.chains[key];
+        if (!chain) {
+            throw new Error(`Selector profile ${profile.version} has no "${key}" chain`);
+        }
+        return chain;
+    };
+
+    return {
+        version: profile.version,
+
+        // Check if the profile has a chain, older custom profiles may not have every chain
+        has: (key) => !!profile.chains[key],
+
+        // All selectors in a chain, in fallback order
+        selectors: (key) => getChain(key).selectors,
+
+        // Find the first selector in a chain that matches on the page, or null if none do
+        find: async (page, key) => {
+            const { selectors } = getChain(key);
+            const result = await page.evaluate((list) => {
+                for (let index = 0; index < list.length; index++) {
+                    try {
+                        const count = document.querySelectorAll(list[index]).length;
+                        if (count > 0) {
+                            return { index, count };
+                        }
+                    } catch (e) {
+                        // Ignore errors from invalid selectors
+                    }
+                }
+                return { index: -1, count: 0 };
+            }, selectors);
+
+            matches[key] = {
+                selector: result.index >= 0 ? selectors[result.index] : null,
+                index: result.index,
+                count: result.count
+            };
+            return matches[key].selector;
+        },
+
+        // Selector that matched the last time a chain was resolved
+        matched: (key) => matches[key]?.selector || null,
+
+        // Number of elements the matched selector found
+        count: (key) => matches[key]?.count || 0,
+
+        // Which selector matched in every chain resolved this cycle
+        report: () => ({ ...matches }),
+
+        // Chains whose primary selector stopped matching
+        drift: () => Object.entries(matches)
+            .filter(([key, match]) => match.index > 0 || (match.index === -1 && getChain(key).required))
+            .map(([key, match]) => ({
+                chain: key,
+                primary: getChain(key).selectors[0],
+                matched: match.selector
+            }))
+    };
+};
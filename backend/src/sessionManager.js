@@ -0,0 +1,192 @@
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { runMonitor, requestApply } from './monitorJobs.js';
+import { logger, log } from './logger.js';
+import { redactConfig } from './config.js';
+import { releaseProfile } from './profiles.js';
+import { releaseUserDataDir } from './browserUtils.js';
+import { forgetSession } from './metrics.js';
+
+// All sessions created since the server started, keyed by ID
+const sessions = new Map();
+
+// Structured events from every session, e.g. "jobsScraped" or "jobMatched" - each payload includes the sessionId
+export const sessionEvents = new EventEmitter();
+
+// Public view of a session (no browser handles or callbacks)
+const toSnapshot = (session) => ({
+    id: session.id,
+    link: session.config.AMAZON_JOBS_URL,
+    positions: session.config.TARGET_JOBS,
+    dryRun: session.config.DRY_RUN,
+    profile: session.profile,
+    status: session.status,
+    startedAt: session.startedAt,
+    stoppedAt: session.stoppedAt,
+    cycleCount: session.cycleCount,
+    restartCount: session.restartCount || 0,
+    lastBrowserFailure: session.lastBrowserFailure || null,
+    schedule: session.schedule || null,
+    lastResult: session.lastResult,
+    lastAttempt: session.lastAttempt || null,
+    jobs: session.jobs,
+    requestedJobs: session.requestedJobs,
+    retries: session.retries?.report() || [],
+    selectorVersion: session.selectorProfile?.version || null,
+    selectorDrift: session.selectorDrift || [],
+    error: session.lastError,
+    config: redactConfig(session.config)
+});
+
+// Create a session for a single job link and start monitoring it in the background
+export const createSession = (config) => {
+    const id = randomUUID().slice(0, 8);
+
+    const session = {
+        id,
+        config,
+        profile: null, // Picked by the monitor at every browser launch
+        status: 'starting',
+        startedAt: new Date().toISOString(),
+        stoppedAt: null,
+        cycleCount: 0,
+        lastResult: null,
+        lastError: null,
+        isRunning: true,
+        keepBrowserOpen: false,
+        browser: null,
+        currentJobId: null,
+        jobs: [], // Jobs listed on the latest cycle
+        requestedJobs: [], // IDs of jobs to apply to next, picked on the dashboard
+        wake: null,
+        emit: (event, data) => {
+            // A deleted session is gone from every client, a cycle still finishing mustn't bring it back
+            if (session.deleted) {
+                return;
+            }
+            log('debug', data.job ? `${event}: ${data.job.title}` : event, { sessionId: id, jobId: data.job?.id ?? null, event });
+            sessionEvents.emit(event, { sessionId: id, ...data });
+        }
+    };
+    // Entries are tagged with the job being processed, if any
+    const sessionLogger = logger.child(() => ({ sessionId: id, jobId: session.currentJobId }));
+    session.log = sessionLogger.info;
+    // Every status change is reported so clients never have to poll for it
+    session.setStatus = (status) => {
+        if (session.status !== status) {
+            const previous = session.status;
+            session.status = status;
+            session.emit('statusChanged', { status, previous, session: toSnapshot(session) });
+        }
+    };
+    session.warn = sessionLogger.warn;
+    session.error = sessionLogger.error;
+    sessions.set(id, session);
+    session.emit('statusChanged', { status: session.status, previous: null, session: toSnapshot(session) });
+
+    // Don't await - each session handles its own errors so one failing link doesn't stop the others
+    runSession(session);
+
+    return toSnapshot(session);
+};
+
+// Run the monitor for a session and record how it ended
+const runSession = async (session) => {
+    try {
+        await runMonitor(session);
+        if (['starting', 'running', 'sleeping', 'restarting'].includes(session.status)) {
+            session.setStatus('stopped');
+        }
+    } catch (error) {
+        session.setStatus('failed');
+        session.lastError = error.message;
+        session.error(`Session failed: ${error.message}`);
+        session.emit('monitorCrashed', { error: error.message, link: session.config.AMAZON_JOBS_URL, fatal: true });
+    } finally {
+        session.isRunning = false;
+        session.stoppedAt = session.stoppedAt || new Date().toISOString();
+    }
+};
+
+// List all sessions
+export const listSessions = () => Array.from(sessions.values()).map(toSnapshot);
+
+// Get a single session, or null if the ID is unknown
+export const getSession = (id) => {
+    const session = sessions.get(id);
+    return session ? toSnapshot(session) : null;
+};
+
+// Check if any session is still monitoring
+export const hasRunningSessions = () => Array.from(sessions.values()).some(session => session.isRunning);
+
+// Stop a session and close its browser, returns false if the ID is unknown
+export const stopSession = (id) => {
+    const session = sessions.get(id);
+    if (!session) {
+        return false;
+    }
+
+    if (session.isRunning || session.browser) {
+        session.isRunning = false;
+        session.keepBrowserOpen = false;
+        session.setStatus('stopped');
+        session.stoppedAt = new Date().toISOString();
+        releaseProfile(session);
+        // End a wait between cycles now rather than when the refresh interval is up
+        session.wake?.();
+
+        // Close browser if it's open
+        if (session.browser) {
+            session.browser.close().catch(error => {
+                session.error(`Error closing browser: ${error.message}`);
+            }).finally(() => releaseUserDataDir(session));
+            session.browser = null;
+        }
+    }
+
+    return true;
+};
+
+// Ask a running session to apply to a job from its latest listing, matching or not. Returns null
+// if the session ID is unknown, otherwise { queued } with the job or the reason it wasn't queued.
+export const requestJobApply = (id, jobId) => {
+    const session = sessions.get(id);
+    if (!session) {
+        return null;
+    }
+
+    const job = session.jobs.find(listed => listed.id === jobId);
+    const reason = session.status !== 'running' ? `Session is ${session.status}, it can only apply while running`
+        : !job ? 'Job is not in the latest listing'
+        : job.applied ? 'Job was already applied to'
+        : session.requestedJobs.includes(jobId) ? 'Job is already queued'
+        : null;
+    if (reason) {
+        return { queued: false, reason };
+    }
+
+    requestApply(session, jobId);
+    return { queued: true, job };
+};
+
+// Stop every running session, returns how many were stopped
+export const stopAllSessions = () => {
+    const running = Array.from(sessions.values()).filter(session => session.isRunning || session.browser);
+    running.forEach(session => stopSession(session.id));
+    return running.length;
+};
+
+// Stop a session if needed and remove it from the registry
+export const deleteSession = (id) => {
+    if (!stopSession(id)) {
+        return false;
+    }
+
+    const session = sessions.get(id);
+    forgetSession(session);
+    sessions.delete(id);
+    session.emit('sessionDeleted', {});
+    session.deleted = true;
+    return true;
+};
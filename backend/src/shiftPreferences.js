@@ -0,0 +1,156 @@
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKEND = ['Sat', 'Sun'];
+const OVERNIGHT_START_CUTOFF = 4 * 60; // Shifts starting before 04:00 are overnight shifts
+const DEFAULT_WEEKLY_HOURS = 40; // Assumed when a shift lists its pay but not its hours
+
+// Preference keys and the type each one expects
+const PREFERENCE_TYPES = {
+    noOvernight: 'boolean',
+    weekendsOnly: 'boolean',
+    minHourlyRate: 'number',
+    minWeeklyHours: 'number'
+};
+
+// Check a preferences object from a request body, throws with a readable message if it's wrong
+export const validateShiftPreferences = (preferences) => {
+    if (preferences === undefined) {
+        return {};
+    }
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+        throw new Error('shiftPreferences must be an object');
+    }
+
+    for (const [key, value] of Object.entries(preferences)) {
+        if (!PREFERENCE_TYPES[key]) {
+            throw new Error(`Unknown shift preference "${key}", expected one of: ${Object.keys(PREFERENCE_TYPES).join(', ')}`);
+        }
+        if (typeof value !== PREFERENCE_TYPES[key] || (typeof value === 'number' && (!isFinite(value) || value < 0))) {
+            throw new Error(`Shift preference "${key}" must be a ${PREFERENCE_TYPES[key] === 'number' ? 'non-negative number' : 'boolean'}`);
+        }
+    }
+
+    return preferences;
+};
+
+// Expand "Mon, Wed" and "Mon - Thu" style day lists into day abbreviations
+const parseDays = (text) => {
+    const days = new Set();
+    // Whole day names or their abbreviations only, so words like "Monitor" or "Sunset" don't count
+    const dayPattern = '(Sun(?:day)?|Mon(?:day)?|Tue(?:s|sday)?|Wed(?:nesday)?|Thu(?:rs?|rsday)?|Fri(?:day)?|Sat(?:urday)?)\\.?(?![a-z])';
+    const rangePattern = new RegExp(`\\b${dayPattern}\\s*(?:-|–|to)\\s*${dayPattern}`, 'gi');
+    const singlePattern = new RegExp(`\\b${dayPattern}`, 'gi');
+    const normalize = (day) => day.charAt(0).toUpperCase() + day.slice(1, 3).toLowerCase();
+
+    // Remove ranges as they're expanded so their end days aren't matched twice
+    const remaining = text.replace(rangePattern, (match, from, to) => {
+        let index = DAYS.indexOf(normalize(from));
+        const end = DAYS.indexOf(normalize(to));
+        days.add(DAYS[index]);
+        while (index !== end) {
+            index = (index + 1) % DAYS.length;
+            days.add(DAYS[index]);
+        }
+        return ' ';
+    });
+
+    for (const match of remaining.matchAll(singlePattern)) {
+        days.add(normalize(match[1]));
+    }
+
+    return DAYS.filter(day => days.has(day));
+};
+
+// Convert "6:00 AM" style times to minutes after midnight
+const toMinutes = (hours, minutes, period) => {
+    let hour = parseInt(hours, 10) % 12;
+    if (period.toUpperCase() === 'PM') {
+        hour += 12;
+    }
+    return hour * 60 + parseInt(minutes || '0', 10);
+};
+
+const formatMinutes = (total) => `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+
+// Turn the text of a shift option into structured data, anything that can't be read is null
+export const parseShift = (text) => {
+    const timeMatch = text.match(/(\d{1,2})(?::(\d{2}))?\s*(AM|PM)\s*(?:-|–|to)\s*(\d{1,2})(?::(\d{2}))?\s*(AM|PM)/i);
+    const rateMatch = text.match(/\$\s*(\d+(?:\.\d+)?)/);
+    const hoursMatch = text.match(/(\d+(?:\.\d+)?)\s*(?:hrs?|hours)\s*(?:\/|per|a)\s*(?:wk|week)/i);
+    const days = parseDays(text);
+
+    const start = timeMatch ? toMinutes(timeMatch[1], timeMatch[2], timeMatch[3]) : null;
+    const end = timeMatch ? toMinutes(timeMatch[4], timeMatch[5], timeMatch[6]) : null;
+
+    return {
+        text,
+        days,
+        startTime: start === null ? null : formatMinutes(start),
+        endTime: end === null ? null : formatMinutes(end),
+        // Shifts that run past midnight or start in the small hours count as overnight
+        overnight: timeMatch ? end <= start || start < OVERNIGHT_START_CUTOFF : /overnight|night shift/i.test(text),
+        hourlyRate: rateMatch ? parseFloat(rateMatch[1]) : null,
+        weeklyHours: hoursMatch ? parseFloat(hoursMatch[1]) : null
+    };
+};
+
+// Check a parsed shift against the preferences, higher scores are better
+export const scoreShift = (shift, preferences = {}) => {
+    const rejections = [];
+
+    if (preferences.noOvernight && shift.overnight) {
+        rejections.push('overnight shift');
+    }
+    if (preferences.weekendsOnly) {
+        const weekdays = shift.days.filter(day => !WEEKEND.includes(day));
+        if (shift.days.length === 0) {
+            rejections.push('days not listed');
+        } else if (weekdays.length > 0) {
+            rejections.push(`works weekdays (${weekdays.join(', ')})`);
+        }
+    }
+    if (preferences.minHourlyRate !== undefined) {
+        if (shift.hourlyRate === null) {
+            rejections.push('pay not listed');
+        } else if (shift.hourlyRate < preferences.minHourlyRate) {
+            rejections.push(`pays $${shift.hourlyRate}/hr, below $${preferences.minHourlyRate}/hr`);
+        }
+    }
+    if (preferences.minWeeklyHours !== undefined) {
+        if (shift.weeklyHours === null) {
+            rejections.push('weekly hours not listed');
+        } else if (shift.weeklyHours < preferences.minWeeklyHours) {
+            rejections.push(`${shift.weeklyHours} hrs/wk, below ${preferences.minWeeklyHours} hrs/wk`);
+        }
+    }
+
+    // Estimated weekly pay. Shifts without pay listed score 0, below any whose pay is known.
+    const score = shift.hourlyRate === null ? 0 : shift.hourlyRate * (shift.weeklyHours ?? DEFAULT_WEEKLY_HOURS);
+
+    return { acceptable: rejections.length === 0, score, rejections };
+};
+
+// Dropdown entries that aren't shifts, like "Select a schedule" or "-- choose --"
+const PLACEHOLDER_TEXT = /^(please )?(select|choose|pick)\b|^-+.*-+$/i;
+
+// Options are the option texts, or { text, disabled, placeholder } where placeholder marks a native
+// option with an empty value. Empty, disabled and placeholder options are left out.
+const isShiftOption = ({ text, disabled, placeholder }) => !!text?.trim() && !disabled && !placeholder && !PLACEHOLDER_TEXT.test(text.trim());
+
+// Parse and rank every shift option, returns the best acceptable one (or null) and why each was
+// ranked. index is the option's position in the list passed in, skipped options included.
+export const pickBestShift = (options, preferences = {}) => {
+    const ranked = options
+        .map((option, index) => ({ index, option: typeof option === 'string' ? { text: option } : option }))
+        .filter(({ option }) => isShiftOption(option))
+        .map(({ index, option }) => {
+            const shift = parseShift(option.text.trim());
+            return { index, shift, ...scoreShift(shift, preferences) };
+        })
+        .sort((a, b) => (b.acceptable - a.acceptable) || (b.score - a.score) ||
+            ((b.shift.weeklyHours ?? 0) - (a.shift.weeklyHours ?? 0)) || (a.index - b.index));
+
+    return {
+        best: ranked.find(option => option.acceptable) || null,
+        ranked
+    };
+};
@@ -0,0 +1,96 @@
+const WATCHDOG_INTERVAL = 15000;
+
+// Watches a session's browser for the ways an overnight run dies: Chrome exiting or crashing,
+// the monitoring tab crashing, or a cycle that never finishes. The first failure is passed to
+// onFailure once, the monitor then closes the browser and decides whether to relaunch it.
+export const createSupervisor = (session, onFailure) => {
+    const hungAfter = session.config.HUNG_CYCLE_MINUTES * 60 * 1000;
+    let failure = null;
+    let cycleStartedAt = null;
+    let watchdog = null;
+    let unwatchers = [];
+
+    const fail = (reason, details) => {
+        // Stopping a session closes its browser too, that's not a failure
+        if (failure || !session.isRunning) {
+            return;
+        }
+        failure = { reason, details, profile: session.profile, at: new Date().toISOString() };
+        onFailure(failure);
+    };
+
+    const supervisor = {
+        // Start watching a freshly launched browser and its monitoring tab
+        watch: (browser, page) => {
+            supervisor.unwatch();
+            failure = null;
+            cycleStartedAt = null;
+
+            const onDisconnected = () => fail('disconnected', 'browser disconnected');
+            const onPageCrash = (error) => fail('pageCrashed', `page crashed: ${error.message}`);
+            browser.on('disconnected', onDisconnected);
+            page.on('error', onPageCrash);
+            unwatchers = [
+                () => browser.off('disconnected', onDisconnected),
+                () => page.off('error', onPageCrash)
+            ];
+
+            // Only time spent inside a cycle counts, waits between cycles can be as long as the schedule says
+            watchdog = setInterval(() => {
+                if (cycleStartedAt && Date.now() - cycleStartedAt > hungAfter) {
+                    fail('hung', `no cycle completed in ${session.config.HUNG_CYCLE_MINUTES} minute(s)`);
+                }
+            }, Math.min(WATCHDOG_INTERVAL, hungAfter));
+        },
+
+        cycleStarted: () => {
+            cycleStartedAt = Date.now();
+        },
+
+        cycleFinished: () => {
+            cycleStartedAt = null;
+        },
+
+        // The failure that ended the current browser, or null while it's healthy
+        failure: () => failure,
+
+        unwatch: () => {
+            unwatchers.forEach(unwatch => unwatch());
+            unwatchers = [];
+            clearInterval(watchdog);
+            watchdog = null;
+        }
+    };
+
+    return supervisor;
+};
+
+// Restarts allowed within a rolling window, so a browser that keeps dying ends the session
+// instead of relaunching forever
+export const createRestartBudget = (budget, windowMinutes) => {
+    const restarts = [];
+    const windowMs = windowMinutes * 60 * 1000;
+
+    const prune = (now) => {
+        while (restarts.length > 0 && restarts[0] <= now - windowMs) {
+            restarts.shift();
+        }
+    };
+
+    return {
+        // Use one restart, returns false if the budget for the window is already spent
+        take: (now = Date.now()) => {
+            prune(now);
+            if (restarts.length >= budget) {
+                return false;
+            }
+            restarts.push(now);
+            return true;
+        },
+
+        used: (now = Date.now()) => {
+            prune(now);
+            return restarts.length;
+        }
+    };
+};
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRetryTracker, validateRetryPolicy } from '../src/applyAttempt.js';
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const job = { id: 'job-1', title: 'Warehouse Associate' };
+const failed = (failureReason) => ({ outcome: 'failed', failureReason });
+const at = (ms) => new Date(ms).toISOString();
+
+test('doubles the backoff with every failure, up to 16 times the policy\'s', () => {
+    const tracker = createRetryTracker({ applyButtonNotFound: { action: 'backoff', maxRetries: 10, backoffMs: MINUTE } });
+
+    assert.deepEqual(tracker.record(job, failed('applyButtonNotFound'), NOW), { action: 'backoff', retryAt: at(NOW + MINUTE) });
+    assert.deepEqual(tracker.record(job, failed('applyButtonNotFound'), NOW), { action: 'backoff', retryAt: at(NOW + 2 * MINUTE) });
+    assert.deepEqual(tracker.record(job, failed('applyButtonNotFound'), NOW), { action: 'backoff', retryAt: at(NOW + 4 * MINUTE) });
+    for (let i = 0; i < 5; i++) {
+        tracker.record(job, failed('applyButtonNotFound'), NOW);
+    }
+    assert.deepEqual(tracker.record(job, failed('applyButtonNotFound'), NOW), { action: 'backoff', retryAt: at(NOW + 16 * MINUTE) });
+});
+
+test('holds a job back until its backoff is over', () => {
+    const tracker = createRetryTracker();
+    assert.equal(tracker.check(job.id, NOW), null);
+
+    tracker.record(job, failed('jobElementNotFound'), NOW);
+    assert.match(tracker.check(job.id, NOW + MINUTE - 1), /^backing off until .* \(jobElementNotFound\)$/);
+    assert.equal(tracker.check(job.id, NOW + MINUTE), null);
+});
+
+test('gives up once maxRetries failures in a row are used up', () => {
+    const tracker = createRetryTracker();
+
+    assert.equal(tracker.record(job, failed('navigationTimeout'), NOW).action, 'retry');
+    assert.equal(tracker.record(job, failed('navigationTimeout'), NOW).action, 'retry');
+    assert.deepEqual(tracker.record(job, failed('navigationTimeout'), NOW), { action: 'giveUp', retryAt: null });
+    assert.equal(tracker.check(job.id, NOW + 24 * 60 * MINUTE), 'gave up after 3 failure(s) (navigationTimeout)');
+    assert.deepEqual(tracker.report().map(({ jobId, failures, action }) => ({ jobId, failures, action })), [{ jobId: 'job-1', failures: 3, action: 'giveUp' }]);
+});
+
+test('gives up straight away on giveUp reasons and falls back to unexpectedError for unknown ones', () => {
+    const tracker = createRetryTracker();
+    assert.equal(tracker.record(job, { outcome: 'skipped', failureReason: 'noAcceptableShift' }, NOW).action, 'giveUp');
+
+    const other = { id: 'job-2', title: 'Sorter' };
+    assert.deepEqual(tracker.record(other, failed('somethingNew'), NOW), { action: 'backoff', retryAt: at(NOW + MINUTE) });
+});
+
+test('forgets a job once it is applied to or observed', () => {
+    const tracker = createRetryTracker();
+    tracker.record(job, failed('applyClickFailed'), NOW);
+    assert.deepEqual(tracker.record(job, { outcome: 'applied' }, NOW), { action: 'done', retryAt: null });
+    assert.deepEqual(tracker.report(), []);
+
+    // The failure count starts over
+    tracker.record(job, failed('applyClickFailed'), NOW);
+    assert.equal(tracker.report()[0].failures, 1);
+    tracker.record(job, { outcome: 'observed' }, NOW);
+    assert.equal(tracker.check(job.id, NOW), null);
+});
+
+test('rejects bad retry policies with the field that is wrong', () => {
+    assert.deepEqual(validateRetryPolicy(undefined), {});
+    assert.deepEqual(validateRetryPolicy({ signInRequired: { action: 'retry', maxRetries: 1 } }), { signInRequired: { action: 'retry', maxRetries: 1 } });
+
+    assert.throws(() => validateRetryPolicy([]), /retryPolicy must be an object/);
+    assert.throws(() => validateRetryPolicy({ tooSlow: { action: 'retry' } }), /Unknown failure reason "tooSlow"/);
+    assert.throws(() => validateRetryPolicy({ navigationTimeout: { action: 'wait' } }), /retryPolicy.navigationTimeout.action must be one of: retry, backoff, giveUp/);
+    assert.throws(() => validateRetryPolicy({ navigationTimeout: 'retry' }), /retryPolicy.navigationTimeout.action/);
+    assert.throws(() => validateRetryPolicy({ navigationTimeout: { action: 'retry', maxRetries: -1 } }), /retryPolicy.navigationTimeout.maxRetries must be a non-negative number/);
+    assert.throws(() => validateRetryPolicy({ navigationTimeout: { action: 'backoff' } }), /retryPolicy.navigationTimeout.backoffMs is required/);
+});
@@ -0,0 +1,84 @@
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from '../src/config.js';
+import { getRequestToken, isAllowedOrigin, isValidToken, login, logout, requireAuth } from '../src/auth.js';
+
+before(async () => {
+    process.env.CONFIG_FILE = path.join(os.tmpdir(), 'auth-test-missing-config.json');
+    process.env.API_TOKEN = 'script-token';
+    process.env.AUTH_PASSWORD = 'hunter2';
+    process.env.AUTH_TOKEN_TTL_HOURS = '1';
+    process.env.CORS_ORIGINS = 'https://dashboard.example.com';
+    await loadConfig();
+});
+
+test('logs in with the password or the API token and nothing else', () => {
+    assert.equal(login('wrong'), null);
+    assert.equal(login(undefined), null);
+    assert.equal(login('hunter'), null);
+
+    const { token } = login('hunter2');
+    assert.ok(isValidToken(token));
+    assert.ok(login('script-token'));
+});
+
+test('accepts the API token and live login tokens only', () => {
+    assert.ok(isValidToken('script-token'));
+    assert.equal(isValidToken(''), false);
+    assert.equal(isValidToken('made-up'), false);
+
+    const { token } = login('hunter2');
+    logout(token);
+    assert.equal(isValidToken(token), false);
+});
+
+test('login tokens expire after the configured time', (t) => {
+    t.after(() => mock.timers.reset());
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    const { token, expiresAt } = login('hunter2');
+    assert.equal(new Date(expiresAt).getTime(), Date.now() + 60 * 60 * 1000);
+    mock.timers.tick(59 * 60 * 1000);
+    assert.ok(isValidToken(token));
+    mock.timers.tick(2 * 60 * 1000);
+    assert.equal(isValidToken(token), false);
+});
+
+test('reads the token from the Authorization header or the query string', () => {
+    assert.equal(getRequestToken({ headers: { authorization: 'Bearer abc ' }, url: '/sessions?token=def' }), 'abc');
+    assert.equal(getRequestToken({ headers: {}, url: '/ws?token=def' }), 'def');
+    assert.equal(getRequestToken({ headers: { authorization: 'Basic abc' }, url: '/sessions' }), null);
+});
+
+test('rejects requests without a valid token', () => {
+    const respond = (headers) => {
+        const res = {
+            status: (code) => {
+                res.code = code;
+                return res;
+            },
+            json: (body) => {
+                res.body = body;
+                return res;
+            }
+        };
+        let passed = false;
+        requireAuth({ headers, url: '/sessions' }, res, () => {
+            passed = true;
+        });
+        return { passed, code: res.code };
+    };
+
+    assert.deepEqual(respond({ authorization: 'Bearer script-token' }), { passed: true, code: undefined });
+    assert.deepEqual(respond({ authorization: 'Bearer nope' }), { passed: false, code: 401 });
+    assert.deepEqual(respond({}), { passed: false, code: 401 });
+});
+
+test('allows only configured browser origins', () => {
+    assert.ok(isAllowedOrigin('https://dashboard.example.com'));
+    assert.ok(isAllowedOrigin(undefined));
+    assert.equal(isAllowedOrigin('https://evil.example.com'), false);
+    assert.equal(isAllowedOrigin('http://localhost:5173'), false);
+});
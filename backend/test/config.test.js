@@ -0,0 +1,86 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { configFromRequest, getConfig, getEnvOverrides, loadConfig, redactConfig, REDACTED, updateConfig, validateConfig } from '../src/config.js';
+
+const OVERRIDDEN = ['REFRESH_INTERVAL', 'TARGET_JOBS', 'HEADLESS', 'SHIFT_PREFERENCES', 'API_TOKEN'];
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-test-'));
+    process.env.CONFIG_FILE = path.join(dir, 'config.json');
+});
+
+afterEach(() => OVERRIDDEN.forEach(key => delete process.env[key]));
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const writeConfig = (values) => fs.writeFile(process.env.CONFIG_FILE, JSON.stringify(values));
+
+test('environment variables win over the config file', async () => {
+    await writeConfig({ REFRESH_INTERVAL: 10000, TARGET_JOBS: ['Picker'], HEADLESS: false });
+    process.env.REFRESH_INTERVAL = '5000';
+    process.env.TARGET_JOBS = 'Warehouse Associate, Sorter ,';
+    process.env.HEADLESS = 'yes';
+    process.env.SHIFT_PREFERENCES = '{"noOvernight":true}';
+
+    const config = await loadConfig();
+    assert.equal(config.REFRESH_INTERVAL, 5000);
+    assert.deepEqual(config.TARGET_JOBS, ['Warehouse Associate', 'Sorter']);
+    assert.equal(config.HEADLESS, true);
+    assert.deepEqual(config.SHIFT_PREFERENCES, { noOvernight: true });
+    assert.deepEqual(getEnvOverrides().sort(), ['HEADLESS', 'REFRESH_INTERVAL', 'SHIFT_PREFERENCES', 'TARGET_JOBS']);
+});
+
+test('rejects bad values with the field that is wrong', async () => {
+    await writeConfig({});
+    process.env.REFRESH_INTERVAL = 'soon';
+    await assert.rejects(loadConfig(), /REFRESH_INTERVAL must be a number/);
+
+    process.env.REFRESH_INTERVAL = '10';
+    await assert.rejects(loadConfig(), /REFRESH_INTERVAL must be at least 1000/);
+
+    delete process.env.REFRESH_INTERVAL;
+    process.env.SHIFT_PREFERENCES = '{nope';
+    await assert.rejects(loadConfig(), /Environment variable SHIFT_PREFERENCES must be JSON/);
+
+    delete process.env.SHIFT_PREFERENCES;
+    await writeConfig({ REFRESH_INTERVALS: 1000 });
+    await assert.rejects(loadConfig(), /unknown field\(s\) REFRESH_INTERVALS/);
+
+    await writeConfig({});
+    await loadConfig();
+
+    assert.throws(() => validateConfig({ ...getConfig(), CHROME_PROFILES: [] }), /CHROME_PROFILES must have at least 1 item/);
+    assert.throws(() => validateConfig({ ...getConfig(), MATCH_RULES: [{ minPay: 20 }] }), /needs at least one title condition/);
+});
+
+test('labels request errors with the request field names', async () => {
+    await writeConfig({ TARGET_JOBS: ['Picker'] });
+    await loadConfig();
+
+    assert.deepEqual(configFromRequest({ positions: ['Sorter'] }).TARGET_JOBS, ['Sorter']);
+    assert.deepEqual(configFromRequest({}).TARGET_JOBS, ['Picker']);
+    assert.throws(() => configFromRequest({ refreshInterval: 'fast' }), /^Error: refreshInterval must be a number$/);
+    assert.throws(() => configFromRequest({ links: 'https://hiring.amazon.com' }), /links must be an array of strings/);
+});
+
+test('hides secrets and keeps them when the redacted value is sent back', async () => {
+    await writeConfig({ API_TOKEN: 'secret' });
+    await loadConfig();
+
+    assert.equal(redactConfig({ API_TOKEN: 'secret', AUTH_PASSWORD: null }).API_TOKEN, REDACTED);
+    assert.equal(redactConfig({ AUTH_PASSWORD: null }).AUTH_PASSWORD, null);
+
+    const config = await updateConfig({ API_TOKEN: REDACTED, REFRESH_INTERVAL: 20000 });
+    assert.equal(config.API_TOKEN, 'secret');
+    assert.deepEqual(JSON.parse(await fs.readFile(process.env.CONFIG_FILE, 'utf8')), { API_TOKEN: 'secret', REFRESH_INTERVAL: 20000 });
+});
+
+test('keeps artifacts for at least a day', async () => {
+    await writeConfig({ ARTIFACTS_RETENTION_DAYS: 0 });
+    await assert.rejects(loadConfig(), /ARTIFACTS_RETENTION_DAYS must be at least 1/);
+});
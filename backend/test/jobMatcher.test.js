@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileRules, findMatchingJobs, matchJob, titleSimilarity } from '../src/jobMatcher.js';
+
+const jobs = [
+    { index: 0, title: 'Warehouse Associate', payRate: 19, jobType: 'Full Time' },
+    { index: 1, title: 'Warehouse Team Lead', payRate: 24, jobType: 'Full Time' },
+    { index: 2, title: 'Delivery Station Associate', payRate: 20, jobType: 'Flex Time' },
+    { index: 3, title: 'Sortation Associate - Night Shift', payRate: 21, jobType: 'Part Time' }
+];
+
+test('turns plain positions into case-insensitive "title contains" rules', () => {
+    const rules = compileRules(['warehouse associate']);
+    assert.equal(matchJob(jobs[0], rules).name, 'warehouse associate');
+    assert.equal(matchJob(jobs[1], rules), null);
+});
+
+test('uses the highest-priority rule that matches and orders matches by priority', () => {
+    const rules = compileRules(['Associate'], [
+        { name: 'lead', contains: 'lead', priority: 5 },
+        { name: 'well paid', pattern: 'associate', minPay: 20, priority: 2 }
+    ]);
+
+    assert.equal(matchJob(jobs[0], rules).name, 'Associate');
+    assert.equal(matchJob(jobs[2], rules).name, 'well paid');
+
+    const matches = findMatchingJobs(jobs, rules);
+    assert.deepEqual(matches.map(job => [job.title, job.matchedRule, job.priority]), [
+        ['Warehouse Team Lead', 'lead', 5],
+        ['Delivery Station Associate', 'well paid', 2],
+        ['Sortation Associate - Night Shift', 'well paid', 2],
+        ['Warehouse Associate', 'Associate', 0]
+    ]);
+});
+
+test('excludes jobs whose title has an excluded keyword', () => {
+    const rules = compileRules([], [{ include: ['associate'], exclude: ['night', 'delivery'] }]);
+    assert.deepEqual(findMatchingJobs(jobs, rules).map(job => job.index), [0]);
+});
+
+test('fails metadata conditions when the job card leaves the field out', () => {
+    const rules = compileRules([], [{ contains: 'associate', jobTypes: ['full time'], maxDistance: 10 }]);
+    assert.equal(matchJob({ title: 'Warehouse Associate', jobType: 'Full Time', distance: 4 }, rules).name, 'associate');
+    assert.equal(matchJob({ title: 'Warehouse Associate', jobType: 'Full Time' }, rules), null);
+});
+
+test('matches similar titles above the threshold', () => {
+    assert.equal(titleSimilarity('Warehouse Associate', 'warehouse  associate'), 1);
+    const rules = compileRules([], [{ similarTo: 'Warehouse Asociate', threshold: 0.8 }]);
+    assert.ok(matchJob(jobs[0], rules));
+    assert.equal(matchJob(jobs[2], rules), null);
+});
+
+test('rejects rules with unknown fields, wrong types or no title condition', () => {
+    assert.throws(() => compileRules([], [{ contains: 'a', salary: 20 }]), /Rule 1 has unknown field "salary"/);
+    assert.throws(() => compileRules([], [{ contains: 'a', priority: '1' }]), /Rule 1 field "priority" must be a number/);
+    assert.throws(() => compileRules([], [{ minPay: 20 }]), /needs at least one title condition/);
+    assert.throws(() => compileRules([], [{ pattern: '(' }]), /invalid pattern/);
+    assert.throws(() => compileRules([], [{ similarTo: 'a', threshold: 2 }]), /between 0 and 1/);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJobCard } from '../src/jobScraper.js';
+
+const TITLE = 'Delivery Station Warehouse Associate';
+
+test('reads pay, location, distance, type and shift count from a labelled card', () => {
+    const card = [
+        TITLE,
+        'New',
+        'Type: Full Time, Part Time',
+        'Duration: Regular',
+        'Pay rate: Up to $19.50',
+        'Location: Seattle, WA (within 5 mi)',
+        '2 shifts available'
+    ].join('\n');
+
+    assert.deepEqual(parseJobCard(card, TITLE), {
+        payRate: 19.5,
+        payText: 'Up to $19.50',
+        location: 'Seattle, WA',
+        distance: 5,
+        jobType: 'Full Time, Part Time',
+        shiftCount: 2,
+        isNew: true
+    });
+});
+
+test('falls back to unlabelled lines for pay and location', () => {
+    const card = [TITLE, 'Flex-Time', '$21 per hour · 40 hrs/wk', 'Kent, WA', '12.5 miles', 'Shifts: 3'].join('\n');
+    assert.deepEqual(parseJobCard(card, TITLE), {
+        payRate: 21,
+        payText: '$21 per hour · 40 hrs/wk',
+        location: 'Kent, WA',
+        distance: 12.5,
+        jobType: 'Flex Time',
+        shiftCount: 3,
+        isNew: false
+    });
+});
+
+test('leaves fields the card does not show as null', () => {
+    assert.deepEqual(parseJobCard(TITLE, TITLE), {
+        payRate: null,
+        payText: null,
+        location: null,
+        distance: null,
+        jobType: null,
+        shiftCount: null,
+        isNew: false
+    });
+    assert.deepEqual(parseJobCard(`${TITLE}\nPay rate: Competitive\nLocation:`, TITLE), {
+        payRate: null,
+        payText: 'Competitive',
+        location: null,
+        distance: null,
+        jobType: null,
+        shiftCount: null,
+        isNew: false
+    });
+});
+
+test('does not read the title as a location or job type', () => {
+    const title = 'Part Time Associate, WA Region';
+    const parsed = parseJobCard(`${title}\nPay rate: $18`, title);
+    assert.equal(parsed.location, null);
+    assert.equal(parsed.jobType, null);
+    assert.equal(parsed.payRate, 18);
+});
@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const SEARCH_URL = 'https://hiring.amazon.com/app#/jobSearch';
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-store-test-'));
+    process.env.JOB_STORE_PATH = path.join(dir, 'jobs.json');
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+// A fresh copy of the module, as after a restart
+const loadStore = (copy) => import(`../src/jobStore.js?copy=${copy}`);
+
+const job = (title, extra = {}) => ({ title, link: `https://hiring.amazon.com/jobs/${title.replace(/\W+/g, '-')}`, ...extra });
+
+test('remembers an application across restarts', async () => {
+    const first = await loadStore('first');
+    const [picker, sorter] = await first.recordSeenJobs([job('Picker'), job('Sorter')], { searchUrl: SEARCH_URL, matchedIds: [job('Picker').link] });
+    assert.equal(picker.newlyMatched, true);
+    assert.equal(sorter.newlyMatched, false);
+
+    await first.recordAttempt(picker.id, { sessionId: 'a', outcome: 'failed', failureReason: 'applyButtonNotFound' });
+    assert.equal(await first.hasApplied(picker.id), false);
+    await first.recordAttempt(picker.id, { sessionId: 'a', outcome: 'applied', completed: true });
+    assert.equal(await first.hasApplied(picker.id), true);
+
+    const second = await loadStore('second');
+    assert.equal(await second.hasApplied(picker.id), true);
+    assert.equal(await second.hasApplied(sorter.id), false);
+
+    // Seeing it again keeps the history and doesn't count as a new match
+    const [again] = await second.recordSeenJobs([job('Picker')], { searchUrl: SEARCH_URL, matchedIds: [picker.id] });
+    assert.equal(again.newlyMatched, false);
+    assert.equal(again.timesSeen, 2);
+    assert.deepEqual(again.attempts.map(attempt => attempt.outcome), ['failed', 'applied']);
+    assert.equal(again.lastOutcome, 'applied');
+});
+
+test('identifies jobs without a link by their title on the search page', async () => {
+    const store = await loadStore('no-link');
+    const [record] = await store.recordSeenJobs([{ title: 'Packer' }], { searchUrl: SEARCH_URL });
+    assert.equal(record.id, `${SEARCH_URL}#Packer`);
+    await assert.rejects(store.recordAttempt('unknown', { sessionId: 'a', outcome: 'applied' }), /Job unknown is not in the job store/);
+});
+
+test('filters and pages job history, most recently seen first', async (t) => {
+    await fs.rm(process.env.JOB_STORE_PATH, { force: true });
+    const store = await loadStore('query');
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T08:00:00Z') });
+    const titles = ['Warehouse Associate', 'Sortation Associate', 'Delivery Driver', 'Warehouse Lead'];
+    for (const title of titles) {
+        await store.recordSeenJobs([job(title)], { searchUrl: SEARCH_URL, matchedIds: title.includes('Associate') ? [job(title).link] : [] });
+        t.mock.timers.tick(60 * 1000);
+    }
+    await store.recordAttempt(job('Sortation Associate').link, { sessionId: 'a', outcome: 'applied' });
+    await store.recordAttempt(job('Delivery Driver').link, { sessionId: 'a', outcome: 'skipped' });
+    t.mock.timers.reset();
+
+    const titlesOf = ({ jobs }) => jobs.map(record => record.title);
+    assert.deepEqual(titlesOf(await store.queryJobs()), [...titles].reverse());
+    assert.deepEqual(titlesOf(await store.queryJobs({ matched: true })), ['Sortation Associate', 'Warehouse Associate']);
+    assert.deepEqual(titlesOf(await store.queryJobs({ matched: true, applied: false })), ['Warehouse Associate']);
+    assert.deepEqual(titlesOf(await store.queryJobs({ outcome: 'skipped' })), ['Delivery Driver']);
+    assert.deepEqual(titlesOf(await store.queryJobs({ search: 'WAREHOUSE' })), ['Warehouse Lead', 'Warehouse Associate']);
+    assert.deepEqual(titlesOf(await store.queryJobs({ since: '2026-10-19T08:02:00.000Z' })), ['Warehouse Lead', 'Delivery Driver']);
+
+    const page = await store.queryJobs({ limit: 2, offset: 1 });
+    assert.equal(page.total, 4);
+    assert.deepEqual(titlesOf(page), ['Delivery Driver', 'Sortation Associate']);
+});
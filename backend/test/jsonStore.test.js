@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createJsonStore } from '../src/jsonStore.js';
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-store-test-'));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const openStore = (file) => {
+    process.env.TEST_STORE_PATH = path.join(dir, file);
+    return createJsonStore({
+        name: 'test store',
+        pathEnv: 'TEST_STORE_PATH',
+        defaultPath: path.join(dir, 'default.json'),
+        fromFile: (data) => Object.entries(data.items),
+        toFile: (items) => ({ items: Object.fromEntries(items) })
+    });
+};
+
+test('starts empty without a file and reads back what it saved', async () => {
+    const store = openStore('items.json');
+    const items = await store.load();
+    assert.equal(items.size, 0);
+    assert.equal(await store.load(), items);
+
+    items.set('a', { count: 1 });
+    await store.save();
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, 'items.json'), 'utf8')), { items: { a: { count: 1 } } });
+    assert.deepEqual(Array.from((await openStore('items.json').load()).entries()), [['a', { count: 1 }]]);
+});
+
+test('rejects when the file can\'t be read', async () => {
+    await fs.writeFile(path.join(dir, 'broken.json'), '{nope');
+    await assert.rejects(openStore('broken.json').load(), /^Error: Could not read test store .*broken\.json: /);
+});
+
+test('rejects a failed write and keeps writing after it', async () => {
+    const store = openStore('blocked.json');
+    const items = await store.load();
+    items.set('a', 1);
+
+    // A directory where the temp file goes makes the write fail
+    await fs.mkdir(path.join(dir, 'blocked.json.tmp'));
+    const failed = store.save();
+    const queued = store.save();
+    await assert.rejects(failed, /^Error: Could not save test store .*blocked\.json: /);
+    await assert.rejects(queued, /Could not save test store/);
+
+    await fs.rm(path.join(dir, 'blocked.json.tmp'), { recursive: true });
+    items.set('b', 2);
+    await store.save();
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, 'blocked.json'), 'utf8')), { items: { a: 1, b: 2 } });
+});
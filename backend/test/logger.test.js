@@ -0,0 +1,58 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let dir;
+const stderrWrite = process.stderr.write;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'logger-test-'));
+    process.env.LOG_LEVEL = 'error';
+    // Keep the entries these tests log out of the test output
+    process.stderr.write = () => true;
+});
+
+after(async () => {
+    process.stderr.write = stderrWrite;
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+// A fresh copy of the module, as after a restart
+const loadLogger = (copy) => import(`../src/logger.js?copy=${copy}`);
+
+test('rotates on the size in bytes, not characters', async () => {
+    process.env.LOG_FILE = path.join(dir, 'bytes.log');
+    process.env.LOG_MAX_SIZE = '700';
+    const { log, queryLogs } = await loadLogger('bytes');
+
+    // Each entry is about 210 characters but 410 bytes, so two fit by characters but not by bytes
+    log('error', '€'.repeat(100));
+    log('error', '€'.repeat(100));
+    await queryLogs();
+
+    assert.equal((await fs.readFile(process.env.LOG_FILE, 'utf8')).split('\n').filter(Boolean).length, 1);
+    assert.equal((await fs.readFile(`${process.env.LOG_FILE}.1`, 'utf8')).split('\n').filter(Boolean).length, 1);
+    assert.equal((await queryLogs()).total, 2);
+});
+
+test('keeps counting ids up from the newest entry after a restart', async () => {
+    process.env.LOG_FILE = path.join(dir, 'ids.log');
+    process.env.LOG_MAX_SIZE = '100000';
+
+    const first = await loadLogger('first');
+    assert.equal(first.log('error', 'one').id, 1);
+    assert.equal(first.log('error', 'two').id, 2);
+    await first.queryLogs();
+
+    const second = await loadLogger('second');
+    assert.equal(second.log('error', 'three').id, 3);
+    await second.queryLogs();
+
+    // Also when the newest entry was rotated out of the current file
+    await fs.rename(process.env.LOG_FILE, `${process.env.LOG_FILE}.1`);
+    const third = await loadLogger('third');
+    assert.equal(third.log('error', 'four').id, 4);
+    await third.queryLogs();
+});
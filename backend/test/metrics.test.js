@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { forgetSession, recordApplyAttempt, recordCycle, recordScrape, renderMetrics, trackWebSocketClients } from '../src/metrics.js';
+
+const session = (id) => ({ id, config: { AMAZON_JOBS_URL: 'https://hiring.amazon.com/search?q="picker"' } });
+const LINK = 'link="https://hiring.amazon.com/search?q=\\"picker\\""';
+
+const lines = () => renderMetrics().split('\n');
+const sample = (name) => lines().find(line => line.startsWith(`${name} `) || line.startsWith(`${name}{`));
+
+test('renders every metric with its help and type, even before anything is recorded', () => {
+    const text = renderMetrics();
+    assert.ok(text.endsWith('\n'));
+    assert.match(text, /^# HELP jobbot_cycles_total Monitoring cycles run\n# TYPE jobbot_cycles_total counter$/m);
+    assert.match(text, /^# TYPE jobbot_page_load_seconds histogram$/m);
+    assert.match(text, /^# TYPE jobbot_websocket_clients gauge$/m);
+});
+
+test('labels session series and escapes label values', () => {
+    const a = session('a');
+    recordCycle(a);
+    recordCycle(a);
+    recordApplyAttempt(a, { outcome: 'failed', failureReason: 'applyButtonNotFound' });
+    recordApplyAttempt(a, { outcome: 'applied' });
+
+    assert.equal(sample('jobbot_cycles_total'), `jobbot_cycles_total{session="a",${LINK}} 2`);
+    assert.ok(lines().includes(`jobbot_apply_attempts_total{session="a",${LINK},outcome="failed",reason="applyButtonNotFound"} 1`));
+    assert.ok(lines().includes(`jobbot_apply_attempts_total{session="a",${LINK},outcome="applied",reason="none"} 1`));
+});
+
+test('renders histograms as cumulative buckets with a sum and count', () => {
+    recordScrape(session('b'), { jobs: 12, matches: 3, pageLoadMs: 800, scrapeMs: 3000 });
+    recordScrape(session('b'), { jobs: 10, matches: 1, pageLoadMs: 200, scrapeMs: 100 });
+
+    const labels = `session="b",${LINK}`;
+    const text = lines();
+    assert.ok(text.includes(`jobbot_jobs_scraped_total{${labels}} 22`));
+    assert.ok(text.includes(`jobbot_jobs_scraped{${labels}} 10`));
+    assert.ok(text.includes(`jobbot_job_matches_total{${labels}} 4`));
+    assert.ok(text.includes(`jobbot_page_load_seconds_bucket{${labels},le="0.25"} 1`));
+    assert.ok(text.includes(`jobbot_page_load_seconds_bucket{${labels},le="1"} 2`));
+    assert.ok(text.includes(`jobbot_page_load_seconds_bucket{${labels},le="+Inf"} 2`));
+    assert.ok(text.includes(`jobbot_page_load_seconds_sum{${labels}} 1`));
+    assert.ok(text.includes(`jobbot_page_load_seconds_count{${labels}} 2`));
+});
+
+test('reads collected gauges when rendering', () => {
+    const clients = new Set(['one', 'two']);
+    trackWebSocketClients(clients);
+    assert.equal(sample('jobbot_websocket_clients'), 'jobbot_websocket_clients 2');
+    clients.delete('one');
+    assert.equal(sample('jobbot_websocket_clients'), 'jobbot_websocket_clients 1');
+});
+
+test('drops a deleted session\'s series and ignores anything it records afterwards', () => {
+    const c = session('c');
+    recordCycle(c);
+    recordScrape(c, { jobs: 1, matches: 0, pageLoadMs: 100, scrapeMs: 100 });
+    assert.match(renderMetrics(), /session="c"/);
+
+    forgetSession(c);
+    recordCycle(c);
+    assert.doesNotMatch(renderMetrics(), /session="c"/);
+    assert.match(renderMetrics(), /session="a"/);
+});
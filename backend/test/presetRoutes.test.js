@@ -0,0 +1,85 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'index.js');
+const PORT = 18000 + Math.floor(Math.random() * 1000);
+const URL = `http://localhost:${PORT}`;
+const HEADERS = { Authorization: 'Bearer test-token', 'Content-Type': 'application/json' };
+const PRESET = { links: ['https://hiring.amazon.com/app#/jobSearch'], positions: ['Sorter'] };
+
+let dir;
+let server;
+
+const request = async (method, route, body) => {
+    const response = await fetch(`${URL}${route}`, { method, headers: HEADERS, body: body && JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'preset-routes-test-'));
+    server = spawn(process.execPath, [SERVER], {
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            API_TOKEN: 'test-token',
+            CONFIG_FILE: path.join(dir, 'config.json'),
+            NOTIFICATIONS_FILE: path.join(dir, 'notifications.json'),
+            PRESET_STORE_PATH: path.join(dir, 'presets.json'),
+            PROFILE_STORE_PATH: path.join(dir, 'profile-health.json'),
+            JOB_STORE_PATH: path.join(dir, 'jobs.json'),
+            LOG_FILE: path.join(dir, 'monitor.log')
+        },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+
+    // Ready once it says it's listening
+    let output = '';
+    server.stdout.setEncoding('utf8');
+    while (!output.includes('Backend server running')) {
+        const [chunk] = await once(server.stdout, 'data');
+        output += chunk;
+    }
+    server.stdout.resume();
+});
+
+after(async () => {
+    server.kill();
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('reports a preset store that could not be written as a server error', async () => {
+    assert.equal((await request('PUT', '/presets/Nights', PRESET)).status, 201);
+
+    // A directory where the temp file goes makes every write fail
+    const blocker = path.join(dir, 'presets.json.tmp');
+    await fs.mkdir(blocker);
+    try {
+        const saved = await request('PUT', '/presets/Days', PRESET);
+        assert.equal(saved.status, 500);
+        assert.match(saved.body.error, /Could not save preset store/);
+        assert.equal((await request('DELETE', '/presets/Nights')).status, 500);
+        assert.equal((await request('POST', '/presets/import', { presets: [{ name: 'Evenings', ...PRESET }] })).status, 500);
+    } finally {
+        await fs.rm(blocker, { recursive: true });
+    }
+
+    // Nothing that failed to save is listed
+    assert.deepEqual((await request('GET', '/presets')).body.presets.map(preset => preset.name), ['Nights']);
+    assert.equal((await request('PUT', '/presets/Days', PRESET)).status, 201);
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, 'presets.json'), 'utf8')).presets.map(preset => preset.name),
+        ['Nights', 'Days']);
+});
+
+test('rejects invalid presets with a client error', async () => {
+    const missing = await request('PUT', '/presets/Empty', { positions: ['Sorter'] });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.message, 'Preset "Empty": links is required');
+    assert.equal((await request('POST', '/presets/import', { presets: [] })).status, 400);
+    assert.equal((await request('DELETE', '/presets/Unknown')).status, 404);
+});
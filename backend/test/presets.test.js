@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from '../src/config.js';
+import { importPresets, listPresets, savePreset, validatePreset } from '../src/presets.js';
+
+const LINK = 'https://hiring.amazon.com/app#/jobSearch';
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'presets-test-'));
+    process.env.CONFIG_FILE = path.join(dir, 'config.json');
+    process.env.PRESET_STORE_PATH = path.join(dir, 'presets.json');
+    // Live config that a preset must not pick up
+    process.env.JOB_LINKS = LINK;
+    process.env.TARGET_JOBS = 'Picker';
+    await loadConfig();
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test('keeps only the stored settings and leaves unset ones to the config', () => {
+    assert.deepEqual(validatePreset(' Nights ', { links: [` ${LINK} `], positions: ['Sorter'], dryRun: true }), {
+        name: 'Nights',
+        links: [LINK],
+        positions: ['Sorter'],
+        profiles: null,
+        refreshInterval: null
+    });
+    assert.deepEqual(validatePreset('Fast', { links: [LINK], positions: ['Sorter'], profiles: ['Default'], refreshInterval: 5000 }).refreshInterval, 5000);
+});
+
+test('requires links and positions in the preset itself', () => {
+    assert.throws(() => validatePreset('No links', { positions: ['Sorter'] }), /Preset "No links": links is required/);
+    assert.throws(() => validatePreset('No positions', { links: [LINK] }), /Preset "No positions": positions is required/);
+    assert.throws(() => validatePreset('Blank', { links: [LINK], positions: [' '] }), /positions must include at least one position/);
+});
+
+test('rejects bad names, non-Amazon links and invalid settings', () => {
+    assert.throws(() => validatePreset('', { links: [LINK], positions: ['Sorter'] }), /Preset name must be text/);
+    assert.throws(() => validatePreset('x'.repeat(101), { links: [LINK], positions: ['Sorter'] }), /Preset name must be text/);
+    assert.throws(() => validatePreset('List', []), /Preset "List" must be an object/);
+    assert.throws(() => validatePreset('Elsewhere', { links: ['https://example.com/jobs'], positions: ['Sorter'] }), /links must be one or more Amazon job links/);
+    assert.throws(() => validatePreset('Slow', { links: [LINK], positions: ['Sorter'], refreshInterval: 10 }), /Preset "Slow": refreshInterval must be at least 1000/);
+});
+
+test('imports nothing when any preset in the file is wrong', async () => {
+    await savePreset('Existing', { links: [LINK], positions: ['Sorter'] });
+
+    await assert.rejects(importPresets([]), /non-empty list of presets/);
+    await assert.rejects(importPresets({ presets: [] }), /non-empty list of presets/);
+    await assert.rejects(importPresets([
+        { name: 'Good', links: [LINK], positions: ['Sorter'] },
+        { name: 'Bad', links: [LINK] }
+    ]), /Preset "Bad": positions is required/);
+    assert.deepEqual((await listPresets()).map(preset => preset.name), ['Existing']);
+
+    const existing = (await listPresets())[0];
+    assert.equal(await importPresets([
+        { name: 'Existing', links: [LINK], positions: ['Picker'], createdAt: 'ignored' },
+        { name: 'Good', links: [LINK], positions: ['Sorter'] }
+    ]), 2);
+    const presets = await listPresets();
+    assert.deepEqual(presets.map(preset => [preset.name, preset.positions]), [['Existing', ['Picker']], ['Good', ['Sorter']]]);
+    assert.equal(presets[0].createdAt, existing.createdAt);
+});
@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { acquireProfile, listProfiles, recordProfileFailure, recordProfileSuccess, releaseProfile, resetProfileHealth, updateProfile } from '../src/profiles.js';
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const PROFILES = ['Profile 1', 'Profile 2', 'Profile 3'];
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'profiles-test-'));
+    process.env.PROFILE_STORE_PATH = path.join(dir, 'profile-health.json');
+    process.env.LOG_FILE = path.join(dir, 'monitor.log');
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const session = (id, profiles = PROFILES) => ({
+    id,
+    config: { CHROME_PROFILES: profiles, HEADLESS: true, USER_DATA_DIR: null },
+    warnings: [],
+    warn(message) {
+        this.warnings.push(message);
+    }
+});
+
+const health = async (name) => (await listProfiles({ CHROME_PROFILES: PROFILES, USER_DATA_DIR: null }, NOW))
+    .find(profile => profile.name === name).health;
+
+test('cools a profile down after repeated failures, doubling each time up to a limit', async () => {
+    const failure = { reason: 'navigationFailed', details: 'timeout' };
+
+    assert.equal((await recordProfileFailure('Profile 3', failure, 15, NOW)).cooldownUntil, null);
+    assert.equal((await recordProfileFailure('Profile 3', failure, 15, NOW)).cooldownUntil, new Date(NOW + 15 * MINUTE).toISOString());
+    assert.equal((await recordProfileFailure('Profile 3', failure, 15, NOW)).cooldownUntil, new Date(NOW + 30 * MINUTE).toISOString());
+    for (let i = 0; i < 10; i++) {
+        await recordProfileFailure('Profile 3', failure, 15, NOW);
+    }
+    assert.equal((await health('Profile 3')).cooldownUntil, new Date(NOW + 16 * 15 * MINUTE).toISOString());
+
+    // A browser that doesn't launch at all cools down on the first failure
+    assert.equal((await recordProfileFailure('Profile 2', { reason: 'launchFailed' }, 15, NOW)).cooldownUntil, new Date(NOW + 15 * MINUTE).toISOString());
+});
+
+test('skips profiles in cooldown, and uses the one whose cooldown ends first if all are', async () => {
+    const first = session('a');
+    assert.equal(await acquireProfile(first, NOW), 'Profile 1');
+    releaseProfile(first);
+
+    const cooling = session('b', ['Profile 2', 'Profile 3']);
+    assert.equal(await acquireProfile(cooling, NOW), 'Profile 2');
+    assert.match(cooling.warnings[0], /Every Chrome profile is cooling down, using Profile 2/);
+    releaseProfile(cooling);
+
+    // Once the cooldown is over it's picked again without a warning
+    const cooled = session('c', ['Profile 2', 'Profile 3']);
+    assert.equal(await acquireProfile(cooled, NOW + 16 * MINUTE), 'Profile 2');
+    assert.deepEqual(cooled.warnings, []);
+    releaseProfile(cooled);
+});
+
+test('never shares a busy profile while a free one is left, even one with failures', async () => {
+    await recordProfileFailure('Profile 2', { reason: 'navigationFailed' }, 15, NOW);
+    const later = NOW + 60 * MINUTE;
+    const sessions = ['d', 'e', 'f'].map(id => session(id));
+
+    assert.equal(await acquireProfile(sessions[0], later), 'Profile 1');
+    // Profile 2 is still failing but Profile 1 is taken
+    assert.equal(await acquireProfile(sessions[1], later), 'Profile 2');
+    assert.deepEqual(sessions[1].warnings, []);
+
+    // Profile 3 is cooling down until later still, so the third session shares one
+    assert.equal(await acquireProfile(sessions[2], later), 'Profile 1');
+    assert.match(sessions[2].warnings[0], /Every Chrome profile is in use by another session, sharing Profile 1/);
+    sessions.forEach(releaseProfile);
+});
+
+test('saves a success only when it ends a failure streak', async () => {
+    const store = process.env.PROFILE_STORE_PATH;
+
+    assert.equal(await recordProfileSuccess('Profile 2'), true);
+    assert.deepEqual(await health('Profile 2').then(({ consecutiveFailures, cooldownUntil }) => ({ consecutiveFailures, cooldownUntil })),
+        { consecutiveFailures: 0, cooldownUntil: null });
+
+    const saved = await fs.readFile(store, 'utf8');
+    assert.equal(await recordProfileSuccess('Profile 2'), false);
+    assert.equal(await fs.readFile(store, 'utf8'), saved);
+});
+
+test('reports a profile change that could not be saved', async () => {
+    const config = { CHROME_PROFILES: PROFILES, USER_DATA_DIR: null };
+    const blocker = `${process.env.PROFILE_STORE_PATH}.tmp`;
+    await fs.mkdir(blocker);
+    try {
+        await assert.rejects(updateProfile(config, 'Profile 1', { label: 'Nights' }), /Could not save profile store/);
+        await assert.rejects(resetProfileHealth('Profile 1'), /Could not save profile store/);
+        // Monitoring carries on, the failure is only logged
+        assert.equal(await recordProfileFailure('Profile 1', { reason: 'hung' }, 15, NOW).then(record => record.consecutiveFailures), 1);
+    } finally {
+        await fs.rm(blocker, { recursive: true });
+    }
+
+    assert.equal(await updateProfile(config, 'Profile 1', { label: 'Nights' }), true);
+    assert.equal((await listProfiles(config, NOW)).find(profile => profile.name === 'Profile 1').label, 'Nights');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getScheduleState, validateSchedule } from '../src/scheduler.js';
+
+// Local times, 2026-10-19 is a Monday
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+
+const schedule = {
+    windows: [{ days: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'], start: '06:00', end: '23:00' }],
+    peakWindows: [{ start: '06:00', end: '09:00' }],
+    peakInterval: 5000,
+    offPeakInterval: 60000
+};
+
+test('polls at the default interval without a schedule', () => {
+    assert.deepEqual(getScheduleState(null, 30000, at(19, 3)), { mode: 'always', interval: 30000, nextRunAt: null });
+});
+
+test('uses the peak interval inside a peak window and the off-peak one outside it', () => {
+    assert.deepEqual(getScheduleState(schedule, 30000, at(19, 7, 30)), { mode: 'peak', interval: 5000, nextRunAt: null });
+    assert.deepEqual(getScheduleState(schedule, 30000, at(19, 9)), { mode: 'off-peak', interval: 60000, nextRunAt: null });
+    assert.equal(getScheduleState({ peakWindows: schedule.peakWindows }, 30000, at(19, 12)).interval, 30000);
+});
+
+test('sleeps outside every window until the next one opens', () => {
+    assert.deepEqual(getScheduleState(schedule, 30000, at(19, 23, 30)), {
+        mode: 'sleeping',
+        interval: null,
+        nextRunAt: at(20, 6).toISOString()
+    });
+    // Friday night sleeps through the weekend
+    assert.equal(getScheduleState(schedule, 30000, at(23, 23)).nextRunAt, at(26, 6).toISOString());
+});
+
+test('runs overnight windows past midnight on the day after they start', () => {
+    const overnight = { windows: [{ days: ['Fri'], start: '22:00', end: '02:00' }] };
+    assert.equal(getScheduleState(overnight, 30000, at(23, 23)).mode, 'off-peak');
+    assert.equal(getScheduleState(overnight, 30000, at(24, 1, 59)).mode, 'off-peak');
+    assert.equal(getScheduleState(overnight, 30000, at(24, 2)).mode, 'sleeping');
+    assert.equal(getScheduleState(overnight, 30000, at(22, 23)).nextRunAt, at(23, 22).toISOString());
+});
+
+test('rejects malformed schedules with the field that is wrong', () => {
+    assert.equal(validateSchedule(undefined), null);
+    assert.throws(() => validateSchedule([]), /schedule must be an object/);
+    assert.throws(() => validateSchedule({ windows: [{ days: ['Monday'], start: '06:00', end: '09:00' }] }), /schedule.windows\[0\].days/);
+    assert.throws(() => validateSchedule({ peakWindows: [{ start: '6:00', end: '09:00' }] }), /schedule.peakWindows\[0\].start must be a 24-hour/);
+    assert.throws(() => validateSchedule({ peakInterval: 500 }), /schedule.peakInterval must be a number of milliseconds/);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseShift, pickBestShift } from '../src/shiftPreferences.js';
+
+test('reads days, times, pay and hours from a shift option', () => {
+    const shift = parseShift('Mon, Tue, Wed, Thu 10:00 PM - 08:30 AM · $21.00/hr · 40 hrs/wk');
+    assert.deepEqual(shift.days, ['Mon', 'Tue', 'Wed', 'Thu']);
+    assert.equal(shift.startTime, '22:00');
+    assert.equal(shift.endTime, '08:30');
+    assert.equal(shift.overnight, true);
+    assert.equal(shift.hourlyRate, 21);
+    assert.equal(shift.weeklyHours, 40);
+});
+
+test('skips placeholder, empty and disabled options', () => {
+    assert.equal(pickBestShift(['Select a schedule', 'Mon 6:00 AM - 2:00 PM'], {}).best.shift.text, 'Mon 6:00 AM - 2:00 PM');
+
+    const { best, ranked } = pickBestShift([
+        { text: 'Mon 5:00 AM - 1:00 PM', placeholder: true },
+        { text: '' },
+        { text: 'Tue 6:00 AM - 2:00 PM · $30.00/hr', disabled: true },
+        { text: '-- choose --' },
+        { text: 'Wed 6:00 AM - 2:00 PM · $20.00/hr' }
+    ], {});
+    assert.equal(ranked.length, 1);
+    assert.equal(best.index, 4);
+});
+
+test('picks the best paying acceptable shift', () => {
+    const { best, ranked } = pickBestShift([
+        'Sun - Wed 01:20 AM - 11:50 AM · $25.00/hr · 40 hrs/wk',
+        'Mon - Thu 06:00 AM - 04:30 PM · $19.00/hr · 40 hrs/wk',
+        'Fri - Sun 06:00 AM - 06:30 PM · $20.00/hr · 36 hrs/wk'
+    ], { noOvernight: true });
+    assert.equal(best.index, 1);
+    assert.deepEqual(ranked[ranked.length - 1].rejections, ['overnight shift']);
+});
+
+test('returns no best shift when none is acceptable', () => {
+    assert.equal(pickBestShift(['Mon 10:00 PM - 06:00 AM'], { noOvernight: true }).best, null);
+});
+
+test('reads only real day names, not words that start with one', () => {
+    assert.deepEqual(parseShift('Monitor role, Sunset shift 6:00 AM - 2:00 PM').days, []);
+    assert.deepEqual(parseShift('Saturation team, Fri 6:00 AM - 2:00 PM').days, ['Fri']);
+    assert.deepEqual(parseShift('Monday - Wednesday, Sat. 6:00 AM - 2:00 PM').days, ['Mon', 'Tue', 'Wed', 'Sat']);
+    assert.deepEqual(parseShift('Tues, Thurs 6:00 AM - 2:00 PM').days, ['Tue', 'Thu']);
+});
+
+test('estimates weekly pay for shifts that leave out their hours', () => {
+    const { best, ranked } = pickBestShift([
+        'Mon - Thu 06:00 AM - 04:30 PM · $19.00/hr · 40 hrs/wk',
+        'Fri - Sun 06:00 AM - 06:30 PM · $24.00/hr',
+        'Mon - Fri 06:00 AM - 10:00 AM · $30.00/hr · 20 hrs/wk',
+        'Sat - Sun 06:00 AM - 06:30 PM · 24 hrs/wk'
+    ], {});
+    assert.equal(best.index, 1);
+    assert.equal(best.score, 24 * 40);
+    assert.deepEqual(ranked.map(option => option.index), [1, 0, 2, 3]);
+    assert.equal(ranked[3].score, 0);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { createRestartBudget, createSupervisor } from '../src/supervisor.js';
+
+const MINUTE = 60 * 1000;
+
+const session = () => ({ isRunning: true, profile: 'Default', config: { HUNG_CYCLE_MINUTES: 10 } });
+
+// A supervisor watching fake browser and page emitters, with every failure it reports
+const watched = (t, target = session()) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+    const failures = [];
+    const supervisor = createSupervisor(target, failure => failures.push(failure));
+    const browser = new EventEmitter();
+    const page = new EventEmitter();
+    supervisor.watch(browser, page);
+    t.after(() => supervisor.unwatch());
+    return { supervisor, browser, page, failures };
+};
+
+test('allows the budget of restarts within the window, then refuses', () => {
+    const budget = createRestartBudget(2, 60);
+    const now = Date.parse('2026-10-19T12:00:00Z');
+
+    assert.equal(budget.take(now), true);
+    assert.equal(budget.take(now + 10 * MINUTE), true);
+    assert.equal(budget.take(now + 20 * MINUTE), false);
+    assert.equal(budget.used(now + 20 * MINUTE), 2);
+
+    // The first restart leaves the window an hour after it happened
+    assert.equal(budget.take(now + 60 * MINUTE - 1), false);
+    assert.equal(budget.used(now + 60 * MINUTE), 1);
+    assert.equal(budget.take(now + 60 * MINUTE), true);
+    assert.equal(budget.used(now + 2 * 60 * MINUTE), 0);
+});
+
+test('a budget of zero never allows a restart', () => {
+    assert.equal(createRestartBudget(0, 60).take(), false);
+});
+
+test('reports a disconnected browser and a crashed page, once', (t) => {
+    const { supervisor, browser, page, failures } = watched(t);
+
+    browser.emit('disconnected');
+    page.emit('error', new Error('Aw, Snap!'));
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].reason, 'disconnected');
+    assert.equal(failures[0].profile, 'Default');
+    assert.equal(supervisor.failure(), failures[0]);
+
+    // A relaunched browser is watched afresh
+    const relaunched = new EventEmitter();
+    const newPage = new EventEmitter();
+    supervisor.watch(relaunched, newPage);
+    assert.equal(supervisor.failure(), null);
+    browser.emit('disconnected');
+    newPage.emit('error', new Error('Aw, Snap!'));
+    assert.deepEqual(failures.map(failure => [failure.reason, failure.details]), [
+        ['disconnected', 'browser disconnected'],
+        ['pageCrashed', 'page crashed: Aw, Snap!']
+    ]);
+});
+
+test('reports a cycle that runs past the hung limit', (t) => {
+    const { supervisor, failures } = watched(t);
+
+    // Waiting between cycles never counts as hung
+    t.mock.timers.tick(30 * MINUTE);
+    assert.equal(failures.length, 0);
+
+    supervisor.cycleStarted();
+    t.mock.timers.tick(9 * MINUTE);
+    supervisor.cycleFinished();
+    t.mock.timers.tick(5 * MINUTE);
+    assert.equal(failures.length, 0);
+
+    supervisor.cycleStarted();
+    t.mock.timers.tick(10 * MINUTE + 15000);
+    assert.deepEqual(failures.map(failure => [failure.reason, failure.details]), [['hung', 'no cycle completed in 10 minute(s)']]);
+});
+
+test('ignores the browser closing because the session was stopped', (t) => {
+    const target = session();
+    const { browser, failures } = watched(t, target);
+    target.isRunning = false;
+    browser.emit('disconnected');
+    assert.deepEqual(failures, []);
+});
+
+test('stops listening once unwatched', (t) => {
+    const { supervisor, browser, failures } = watched(t);
+    supervisor.cycleStarted();
+    supervisor.unwatch();
+    browser.emit('disconnected');
+    t.mock.timers.tick(20 * MINUTE);
+    assert.deepEqual(failures, []);
+});
@@ -1,9 +1,16 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Play, Square, Loader, RefreshCw, Plus, X, AlertCircle, Airplay } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Play, Square, Loader, RefreshCw, Plus, X, AlertCircle, Airplay, LogOut } from 'lucide-react';
+import ArtifactsGallery from './ArtifactsGallery.jsx';
+import JobBoard from './JobBoard.jsx';
+import Presets from './Presets.jsx';
+import Login from './Login.jsx';
 
 // Use environment variables or a configuration file in production
 const API_URL = 'http://localhost:8082';
 const WS_URL = "ws://localhost:8082/ws";
+const PROTOCOL_VERSION = 1;
+const ACTIVE_STATUSES = ['starting', 'running', 'sleeping', 'restarting'];
+const TOKEN_KEY = 'authToken';
 
 function App() {
   const [jobLinks, setJobLinks] = useState(['']);
@@ -13,34 +20,172 @@ function App() {
   const [isConnected, setIsConnected] = useState(false);
   const [statusMessage, setStatusMessage] = useState('');
   const [errors, setErrors] = useState({ links: [], positions: [] });
+  const [sessions, setSessions] = useState({});
+  const [artifactsVersion, setArtifactsVersion] = useState(0);
+  const [dryRun, setDryRun] = useState(false);
+  const [profileChoice, setProfileChoice] = useState('');
+  const [refreshSeconds, setRefreshSeconds] = useState('');
+  const [knownProfiles, setKnownProfiles] = useState([]);
+  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY));
 
   const logEndRef = useRef(null);
   const ws = useRef(null);
   const retryCount = useRef(0);
   const MAX_RETRIES = 10; // Increased from 5 to 10
   const retryTimeoutRef = useRef(null);
+  const heartbeatRef = useRef(null);
+  const lastSeq = useRef(0);
+  const streamId = useRef(null);
+  const tokenRef = useRef(token);
 
-  // Establish WebSocket connection on mount
+  // Establish WebSocket connection once logged in
   useEffect(() => {
+    tokenRef.current = token;
+    if (!token) return;
+    retryCount.current = 0;
     connectWebSocket();
-    
-    // Add a delay before first status check to ensure server has time to start
-    setTimeout(() => {
-      fetchStatus();
-    }, 3000);
 
     return () => {
       console.log("🔌 Closing WebSocket...");
       if (ws.current) ws.current.close();
       if (retryTimeoutRef.current) clearTimeout(retryTimeoutRef.current);
+      clearInterval(heartbeatRef.current);
     };
-  }, []);
+  }, [token]);
 
   // Auto-scroll logs
   useEffect(() => {
     logEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [logs]);
 
+  // Running state follows the sessions the server reports
+  useEffect(() => {
+    setIsRunning(Object.values(sessions).some(session => ACTIVE_STATUSES.includes(session.status)));
+  }, [sessions]);
+
+  const handleLogin = (newToken) => {
+    localStorage.setItem(TOKEN_KEY, newToken);
+    setToken(newToken);
+  };
+
+  // Forget the token and go back to the login screen
+  const clearLogin = useCallback(() => {
+    localStorage.removeItem(TOKEN_KEY);
+    tokenRef.current = null;
+    setToken(null);
+    setSessions({});
+    setIsConnected(false);
+  }, []);
+
+  const handleLogout = async () => {
+    try {
+      await apiFetch('/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    clearLogin();
+  };
+
+  // fetch with the login token, an expired token sends the user back to the login screen.
+  // Kept stable so the panels can list it as an effect dependency.
+  const apiFetch = useCallback(async (path, options = {}) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${tokenRef.current}` }
+    });
+    if (response.status === 401) {
+      clearLogin();
+      throw new Error('Session expired, please log in again');
+    }
+    return response;
+  }, [clearLogin]);
+
+  const addLogEntry = (entry) => {
+    setLogs(prevLogs => [...prevLogs, {
+      message: entry.sessionId ? `[${entry.sessionId}] ${entry.message}` : entry.message,
+      level: entry.level,
+      timestamp: new Date(entry.time).toLocaleTimeString()
+    }]);
+  };
+
+  // Apply one protocol message, replayed history skips anything already seen
+  const handleMessage = (message) => {
+    if (message.seq !== null && message.seq <= lastSeq.current) {
+      return;
+    }
+    if (message.seq !== null) {
+      lastSeq.current = message.seq;
+    }
+
+    const { type, sessionId, data } = message;
+    switch (type) {
+      case 'log':
+        addLogEntry(data);
+        break;
+      case 'status.changed':
+        setSessions(prev => ({ ...prev, [sessionId]: data.session }));
+        break;
+      case 'session.deleted':
+        setSessions(prev => {
+          const { [sessionId]: deleted, ...rest } = prev;
+          return deleted ? rest : prev;
+        });
+        break;
+      case 'cycle.finished':
+        setSessions(prev => prev[sessionId]
+          ? { ...prev, [sessionId]: { ...prev[sessionId], cycleCount: data.cycle, lastResult: data.result } }
+          : prev);
+        break;
+      case 'jobs.scraped':
+        setSessions(prev => prev[sessionId]
+          ? { ...prev, [sessionId]: { ...prev[sessionId], jobs: data.jobs } }
+          : prev);
+        break;
+      case 'apply.result':
+        setArtifactsVersion(version => version + 1);
+        setSessions(prev => prev[sessionId]
+          ? {
+            ...prev,
+            [sessionId]: {
+              ...prev[sessionId],
+              lastAttempt: { title: data.job.title, outcome: data.outcome, failureReason: data.failureReason, failedIn: data.failedIn, retry: data.retry },
+              jobs: (prev[sessionId].jobs || []).map(job => job.id === data.job.id
+                ? { ...job, lastOutcome: data.outcome, applied: job.applied || data.outcome === 'applied' }
+                : job)
+            }
+          }
+          : prev);
+        break;
+      case 'error':
+        if (data.fatal) {
+          setStatusMessage(`Error: session ${sessionId} crashed - ${data.error}`);
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Replace local state with the server's snapshot, then catch up on the log entries we missed.
+  // Session events up to the snapshot's seq are already in it, replaying them would bring back
+  // stale state and deleted sessions.
+  const handleHello = ({ data }) => {
+    if (data.protocolVersion !== PROTOCOL_VERSION) {
+      setStatusMessage(`Error: server speaks protocol v${data.protocolVersion}, dashboard expects v${PROTOCOL_VERSION}`);
+    }
+    // A restarted server numbers its events from 1 again
+    if (streamId.current !== data.streamId) {
+      streamId.current = data.streamId;
+      lastSeq.current = 0;
+    }
+    setSessions(Object.fromEntries(data.state.sessions.map(session => [session.id, session])));
+    addLogEntry({ time: new Date().toISOString(), level: 'info', message: data.message });
+    data.history
+      .filter(message => message.type === 'log' || message.seq > data.seq)
+      .forEach(handleMessage);
+    lastSeq.current = Math.max(lastSeq.current, data.seq);
+  };
+
   const connectWebSocket = () => {
     // Clear any existing retry timeout
     if (retryTimeoutRef.current) {
@@ -66,7 +211,7 @@ function App() {
         timestamp: new Date().toLocaleTimeString()
       }]);
 
-      ws.current = new WebSocket(WS_URL);
+      ws.current = new WebSocket(`${WS_URL}?token=${encodeURIComponent(tokenRef.current)}`);
 
       ws.current.onopen = () => {
         console.log("✅ WebSocket connected.");
@@ -74,32 +219,34 @@ function App() {
         setStatusMessage('Connected to server');
         retryCount.current = 0;  // Reset retries
 
-        const heartbeatInterval = setInterval(() => {
-        if (ws.current && ws.current.readyState === WebSocket.OPEN) {
-          ws.current.send(JSON.stringify({ type: 'heartbeat' }));
-        } else {
-          clearInterval(heartbeatInterval);
-        }
-      }, 30000); // Every 30 seconds
+        clearInterval(heartbeatRef.current);
+        heartbeatRef.current = setInterval(() => {
+          if (ws.current && ws.current.readyState === WebSocket.OPEN) {
+            ws.current.send(JSON.stringify({ type: 'heartbeat' }));
+          } else {
+            clearInterval(heartbeatRef.current);
+          }
+        }, 30000); // Every 30 seconds
         
         // Add local log for successful connection
         setLogs(prevLogs => [...prevLogs, {
           message: "✅ WebSocket connected successfully",
           timestamp: new Date().toLocaleTimeString()
         }]);
-        
-        // Fetch status after successful connection
-        fetchStatus();
       };
 
       ws.current.onclose = (event) => {
         console.warn(`⚠️ WebSocket disconnected (code: ${event.code}). Retrying...`);
-        // eslint-disable-next-line no-undef
-        clearInterval(heartbeatInterval);
+        clearInterval(heartbeatRef.current);
         setIsConnected(false);
+        // Logged out, nothing to reconnect
+        if (!tokenRef.current) return;
         setStatusMessage(`Disconnected from server (code: ${event.code})`);
         retryCount.current++;
 
+        // The upgrade is refused when the token has expired, check before retrying
+        apiFetch('/auth').catch(() => {});
+
         // Add local log for disconnection
         setLogs(prevLogs => [...prevLogs, {
           message: `⚠️ WebSocket disconnected. Retrying (${retryCount.current}/${MAX_RETRIES})...`,
@@ -124,9 +271,11 @@ function App() {
 
       ws.current.onmessage = (event) => {
         try {
-          const data = JSON.parse(event.data);
-          if (data.log) {
-            setLogs(prevLogs => [...prevLogs, { message: data.log, timestamp: new Date().toLocaleTimeString() }]);
+          const message = JSON.parse(event.data);
+          if (message.type === 'hello') {
+            handleHello(message);
+          } else {
+            handleMessage(message);
           }
         } catch (err) {
           console.error("⚠️ Error parsing WebSocket message:", err);
@@ -143,39 +292,6 @@ function App() {
     }
   };
 
-  const fetchStatus = async () => {
-    try {
-      setLogs(prevLogs => [...prevLogs, {
-        message: "🔍 Checking server status...",
-        timestamp: new Date().toLocaleTimeString()
-      }]);
-      
-      const response = await fetch(`${API_URL}/status`, {
-        // Add timeout to prevent hanging requests
-        signal: AbortSignal.timeout(5000)
-      });
-      
-      const data = await response.json();
-      setIsRunning(data.isRunning);
-      
-      setLogs(prevLogs => [...prevLogs, {
-        message: `📊 Server status: ${data.isRunning ? 'Running' : 'Stopped'}`,
-        timestamp: new Date().toLocaleTimeString()
-      }]);
-    } catch (error) {
-      console.error('Error fetching status:', error);
-      setStatusMessage('Error connecting to server. Please ensure the backend is running.');
-      
-      setLogs(prevLogs => [...prevLogs, {
-        message: `❌ Error fetching status: ${error.message}`,
-        timestamp: new Date().toLocaleTimeString()
-      }]);
-      
-      // If we can't fetch status, we're likely not connected
-      setIsConnected(false);
-    }
-  };
-
   const validateInputs = () => {
     let isValid = true;
     const linkErrors = [];
@@ -216,25 +332,67 @@ function App() {
     return isValid;
   };
 
+  // The form as preset settings, empty profile and interval leave them to the server config
+  const currentSettings = () => ({
+    links: jobLinks.filter(link => link.trim() !== ''),
+    positions: positions.filter(pos => pos.trim() !== ''),
+    profiles: profileChoice.trim() ? profileChoice.split(',').map(name => name.trim()).filter(Boolean) : null,
+    refreshInterval: refreshSeconds ? Math.round(Number(refreshSeconds) * 1000) : null
+  });
+
+  const loadPreset = (preset) => {
+    setJobLinks(preset.links.length > 0 ? preset.links : ['']);
+    setPositions(preset.positions.length > 0 ? preset.positions : ['']);
+    setProfileChoice(preset.profiles ? preset.profiles.join(', ') : '');
+    setRefreshSeconds(preset.refreshInterval ? String(preset.refreshInterval / 1000) : '');
+    setErrors({ links: [], positions: [] });
+    setStatusMessage(`Loaded preset "${preset.name}"`);
+  };
+
+  // Add pasted links and positions to the lists, skipping ones already there
+  const addPasted = ({ links, positions: pastedPositions }) => {
+    const merge = (current, added) => {
+      const kept = current.filter(item => item.trim() !== '');
+      const merged = [...kept, ...added.filter(item => !kept.includes(item))];
+      return merged.length > 0 ? merged : [''];
+    };
+    setJobLinks(current => merge(current, links));
+    setPositions(current => merge(current, pastedPositions));
+    setErrors({ links: [], positions: [] });
+  };
+
   const startMonitoring = async () => {
     if (!validateInputs()) {
       setStatusMessage('Please fix the errors before starting');
       return;
     }
 
-    const filteredLinks = jobLinks.filter(link => link.trim() !== '');
-    const filteredPositions = positions.filter(pos => pos.trim() !== '');
+    const settings = currentSettings();
 
-    if (filteredLinks.length === 0) {
+    if (settings.links.length === 0) {
       setStatusMessage('Please add at least one Amazon job link');
       return;
     }
 
-    if (filteredPositions.length === 0) {
+    if (settings.positions.length === 0) {
       setStatusMessage('Please add at least one position to monitor');
       return;
     }
 
+    if (settings.refreshInterval !== null && !(settings.refreshInterval >= 1000)) {
+      setStatusMessage('Refresh interval must be at least 1 second');
+      return;
+    }
+
+    await startSessions(settings);
+  };
+
+  const startFromPreset = async (preset) => {
+    loadPreset(preset);
+    await startSessions(preset);
+  };
+
+  const startSessions = async ({ links: filteredLinks, positions: filteredPositions, profiles, refreshInterval }) => {
     try {
       setStatusMessage('Starting job monitor...');
       setLogs(prevLogs => [
@@ -245,10 +403,16 @@ function App() {
         }
       ]);
       
-      const response = await fetch(`${API_URL}/start`, {
+      const response = await apiFetch('/start', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ links: filteredLinks, positions: filteredPositions }),
+        body: JSON.stringify({
+          links: filteredLinks,
+          positions: filteredPositions,
+          dryRun,
+          ...(profiles ? { profiles } : {}),
+          ...(refreshInterval ? { refreshInterval } : {})
+        }),
         // Add timeout to prevent hanging requests
         signal: AbortSignal.timeout(10000)
       });
@@ -297,7 +461,7 @@ function App() {
         }
       ]);
       
-      const response = await fetch(`${API_URL}/stop`, { 
+      const response = await apiFetch('/stop', { 
         method: 'POST',
         // Add timeout to prevent hanging requests
         signal: AbortSignal.timeout(10000)
@@ -336,6 +500,18 @@ function App() {
     }
   };
 
+  // Suggestions for the profile field, fetched the first time it's used
+  const loadKnownProfiles = async () => {
+    if (knownProfiles.length > 0) return;
+    try {
+      const response = await apiFetch('/profiles', { signal: AbortSignal.timeout(5000) });
+      const data = await response.json();
+      setKnownProfiles(data.profiles || []);
+    } catch (err) {
+      console.error('Could not load Chrome profiles:', err);
+    }
+  };
+
   const handleCheckConnection = () => {
     // Manual connection check triggered by user
     setLogs(prevLogs => [
@@ -349,7 +525,6 @@ function App() {
     // Reset retry count to allow fresh connection attempts
     retryCount.current = 0;
     connectWebSocket();
-    fetchStatus();
   };
 
   const handleLinkChange = (index, value) => {
@@ -396,6 +571,10 @@ function App() {
     }
   };
 
+  if (!token) {
+    return <Login apiUrl={API_URL} onLogin={handleLogin} />;
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       <header className="bg-gradient-to-r from-blue-700 to-blue-500 text-white p-4 shadow-lg">
@@ -416,12 +595,27 @@ function App() {
               <div className={`h-3 w-3 rounded-full mr-2 ${isConnected ? 'bg-green-400' : 'bg-red-500'} animate-pulse`}></div>
               <span className="text-sm">{isConnected ? 'Connected' : 'Disconnected'}</span>
             </div>
+            <button
+              onClick={handleLogout}
+              className="bg-blue-600 hover:bg-blue-700 text-white text-xs py-1 px-3 rounded-md transition-colors flex items-center"
+              title="Log out"
+            >
+              <LogOut size={14} className="mr-1" /> Log out
+            </button>
           </div>
         </div>
       </header>
 
       <main className="container mx-auto p-4 mt-4 grid grid-cols-1 md:grid-cols-3 gap-4">
         <div className="md:col-span-1 space-y-4">
+          <Presets
+            apiFetch={apiFetch}
+            settings={currentSettings()}
+            onLoad={loadPreset}
+            onStart={startFromPreset}
+            onPaste={addPasted}
+            disabled={isRunning || !isConnected}
+          />
           <div className="bg-white rounded-lg shadow-md p-4">
             <h2 className="text-xl font-semibold mb-4 text-gray-800 border-b pb-2">Job Links</h2>
             <div className="space-y-3">
@@ -505,6 +699,48 @@ function App() {
 
           <div className="bg-white rounded-lg shadow-md p-4">
             <h2 className="text-xl font-semibold mb-4 text-gray-800 border-b pb-2">Control Panel</h2>
+            <div className="grid grid-cols-2 gap-2 mb-3 text-sm">
+              <label className="text-gray-700">
+                Chrome profile(s)
+                <input
+                  type="text"
+                  list="known-profiles"
+                  value={profileChoice}
+                  onFocus={loadKnownProfiles}
+                  onChange={(e) => setProfileChoice(e.target.value)}
+                  disabled={isRunning}
+                  placeholder="Config default"
+                  className="w-full p-1 mt-1 border border-gray-300 rounded-md"
+                />
+                <datalist id="known-profiles">
+                  {knownProfiles.map(profile => (
+                    <option key={profile.name} value={profile.name}>{profile.label || profile.displayName || profile.name}</option>
+                  ))}
+                </datalist>
+              </label>
+              <label className="text-gray-700">
+                Refresh interval (s)
+                <input
+                  type="number"
+                  min="1"
+                  value={refreshSeconds}
+                  onChange={(e) => setRefreshSeconds(e.target.value)}
+                  disabled={isRunning}
+                  placeholder="Config default"
+                  className="w-full p-1 mt-1 border border-gray-300 rounded-md"
+                />
+              </label>
+            </div>
+            <label className="flex items-center text-sm text-gray-700 mb-3" title="Go as far as the apply button and report what would be applied to, without applying">
+              <input
+                type="checkbox"
+                checked={dryRun}
+                onChange={(e) => setDryRun(e.target.checked)}
+                disabled={isRunning}
+                className="mr-2"
+              />
+              Dry run (observe only, never click apply)
+            </label>
             {isRunning ? (
               <button 
                 onClick={stopMonitoring} 
@@ -533,6 +769,37 @@ function App() {
                 )}
               </div>
             </div>
+            {Object.values(sessions).length > 0 && (
+              <div className="mt-4 space-y-1 text-sm">
+                {Object.values(sessions).map(session => (
+                  <div key={session.id} className="bg-gray-50 p-2 rounded">
+                    <div className="flex justify-between items-center">
+                      <span className="truncate mr-2" title={session.link}>
+                        {session.id} · {session.profile}
+                        {session.dryRun && <span className="ml-1 text-xs font-medium text-blue-700">(dry run)</span>}
+                      </span>
+                      <span className={`text-xs font-medium ${session.status === 'failed' ? 'text-red-600' : ACTIVE_STATUSES.includes(session.status) ? 'text-green-600' : 'text-gray-600'}`}>
+                        {session.status} · {session.cycleCount} cycle(s)
+                        {session.restartCount > 0 && ` · ${session.restartCount} browser restart(s)`}
+                      </span>
+                    </div>
+                    {session.lastAttempt && (
+                      <p className="text-xs text-gray-500 truncate" title={session.lastAttempt.title}>
+                        Last attempt: {session.lastAttempt.title} · {session.lastAttempt.outcome}
+                        {session.lastAttempt.failureReason && ` (${session.lastAttempt.failureReason} while ${session.lastAttempt.failedIn}, ${session.lastAttempt.retry?.action})`}
+                      </p>
+                    )}
+                    {session.lastResult?.observed && (
+                      <p className="text-xs text-blue-700 truncate" title={session.lastResult.observed.job.title}>
+                        Would apply: {session.lastResult.observed.job.title} ({session.lastResult.observed.matchedRule})
+                        {session.lastResult.observed.shift ? ` · ${session.lastResult.observed.shift.text}` : ' · no shift'}
+                        {!session.lastResult.observed.applyButton && ' · apply button not found'}
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
         </div>
 
@@ -554,7 +821,10 @@ function App() {
                 </div>
               ) : (
                 logs.map((log, index) => (
-                  <div key={index} className="mb-1 hover:bg-gray-800 p-1 rounded">
+                  <div
+                    key={index}
+                    className={`mb-1 hover:bg-gray-800 p-1 rounded ${log.level === 'error' ? 'text-red-400' : log.level === 'warn' ? 'text-yellow-300' : ''}`}
+                  >
                     <span className="text-gray-400">[{log.timestamp}]</span> {log.message}
                   </div>
                 ))
@@ -563,6 +833,12 @@ function App() {
             </div>
           </div>
         </div>
+        <div className="md:col-span-3">
+          <JobBoard sessions={sessions} apiFetch={apiFetch} />
+        </div>
+        <div className="md:col-span-3">
+          <ArtifactsGallery apiUrl={API_URL} apiFetch={apiFetch} token={token} refreshKey={artifactsVersion} />
+        </div>
       </main>
 
       <footer className="mt-8 bg-gray-800 text-center p-4 text-gray-400 text-sm">
@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Image, RefreshCw, X, Download, ExternalLink } from 'lucide-react';
+import { OUTCOME_STYLES } from './outcomeStyles.js';
+
+// Browse the screenshots, HTML and URL trail recorded for each apply attempt
+function ArtifactsGallery({ apiUrl, apiFetch, token, refreshKey }) {
+  const [attempts, setAttempts] = useState([]);
+  const [outcome, setOutcome] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState('');
+
+  // Images and links can't send headers, so the token goes in the query string
+  const fileUrl = (id, file, download = false) => `${apiUrl}/artifacts/${id}/files/${encodeURIComponent(file)}?token=${encodeURIComponent(token)}${download ? '&download=1' : ''}`;
+
+  const fetchAttempts = useCallback(async () => {
+    try {
+      const query = outcome ? `?outcome=${outcome}` : '';
+      const response = await apiFetch(`/artifacts${query}`, { signal: AbortSignal.timeout(5000) });
+      const data = await response.json();
+      setAttempts(data.artifacts || []);
+      setError('');
+    } catch (err) {
+      setError(`Could not load apply attempts: ${err.message}`);
+    }
+  }, [apiFetch, outcome]);
+
+  const openAttempt = async (id) => {
+    try {
+      const response = await apiFetch(`/artifacts/${id}`, { signal: AbortSignal.timeout(5000) });
+      const data = await response.json();
+      setSelected(data.attempt);
+    } catch (err) {
+      setError(`Could not load attempt ${id}: ${err.message}`);
+    }
+  };
+
+  // Reload whenever the filter changes or a new apply result comes in
+  useEffect(() => {
+    fetchAttempts();
+  }, [fetchAttempts, refreshKey]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4">
+      <div className="flex justify-between items-center mb-4 border-b pb-2">
+        <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+          <Image size={20} className="mr-2" /> Apply Attempts
+        </h2>
+        <div className="flex items-center space-x-2">
+          <select
+            value={outcome}
+            onChange={(e) => setOutcome(e.target.value)}
+            className="text-sm border border-gray-300 rounded-md p-1"
+          >
+            <option value="">All outcomes</option>
+            <option value="applied">Applied</option>
+            <option value="failed">Failed</option>
+            <option value="skipped">Skipped</option>
+            <option value="observed">Dry run</option>
+          </select>
+          <button
+            onClick={fetchAttempts}
+            className="text-xs bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-2 rounded flex items-center"
+          >
+            <RefreshCw size={12} className="mr-1" /> Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-red-600 text-sm mb-2">{error}</p>}
+
+      {attempts.length === 0 ? (
+        <div className="text-gray-500 italic text-sm">No apply attempts recorded yet.</div>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-3">
+          {attempts.map(attempt => (
+            <button
+              key={attempt.id}
+              onClick={() => openAttempt(attempt.id)}
+              className="text-left border rounded-md overflow-hidden hover:shadow-md transition-shadow"
+            >
+              {attempt.thumbnail ? (
+                <img src={fileUrl(attempt.id, attempt.thumbnail)} alt={attempt.job?.title} className="w-full h-24 object-cover object-top bg-gray-100" />
+              ) : (
+                <div className="w-full h-24 bg-gray-100 flex items-center justify-center text-gray-400 text-xs">No screenshot</div>
+              )}
+              <div className="p-2 text-xs space-y-1">
+                <span className={`inline-block px-2 py-0.5 rounded-full font-medium ${OUTCOME_STYLES[attempt.outcome] || 'bg-gray-100 text-gray-800'}`}>
+                  {attempt.outcome}
+                </span>
+                <p className="font-medium text-gray-800 truncate" title={attempt.job?.title}>{attempt.job?.title}</p>
+                {attempt.reason && <p className="text-gray-600 truncate" title={attempt.reason}>{attempt.reason}</p>}
+                <p className="text-gray-400">{new Date(attempt.startedAt).toLocaleString()}</p>
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selected && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-10">
+          <div className="bg-white rounded-lg shadow-xl max-w-5xl w-full max-h-full overflow-y-auto p-4">
+            <div className="flex justify-between items-start mb-3 border-b pb-2">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-800">{selected.job?.title}</h3>
+                <p className="text-sm text-gray-600">
+                  <span className={`inline-block px-2 py-0.5 rounded-full font-medium mr-2 ${OUTCOME_STYLES[selected.outcome] || ''}`}>{selected.outcome}</span>
+                  {selected.completed && <span className="inline-block px-2 py-0.5 rounded-full font-medium mr-2 bg-green-600 text-white">submitted</span>}
+                  {selected.failureReason && <span className="font-mono text-xs mr-2">{selected.failureReason}</span>}
+                  {selected.reason || selected.shift?.text || ''}
+                </p>
+                <p className="text-xs text-gray-400">Session {selected.sessionId} · {new Date(selected.startedAt).toLocaleString()}</p>
+              </div>
+              <button onClick={() => setSelected(null)} className="p-1 text-gray-500 hover:bg-gray-100 rounded-md" title="Close">
+                <X size={18} />
+              </button>
+            </div>
+
+            {selected.decision && (
+              <div className="text-xs text-gray-700 mb-3 bg-blue-50 border border-blue-200 rounded-md p-2 space-y-0.5">
+                <p>Dry run: matched rule <span className="font-medium">{selected.decision.matchedRule}</span> (priority {selected.decision.priority})</p>
+                <p>Shift: {selected.decision.shift ? `${selected.decision.shift.text} (score ${selected.decision.shiftScore})` : 'none to pick'}</p>
+                {selected.decision.rejectedShifts.map((shift, index) => (
+                  <p key={index} className="text-gray-500">✘ {shift.text} - {shift.rejections.join(', ')}</p>
+                ))}
+                <p>Apply button: {selected.decision.applyButton || 'not found'}</p>
+              </div>
+            )}
+
+            {selected.transitions?.length > 0 && (
+              <p className="text-xs text-gray-600 mb-3">
+                States: {selected.transitions.map(transition => transition.state).join(' → ')}
+              </p>
+            )}
+
+            <h4 className="font-medium text-gray-800 mb-1">URL trail</h4>
+            <ol className="list-decimal list-inside text-xs text-gray-700 mb-4 space-y-0.5">
+              {selected.urls.map((url, index) => <li key={index} className="truncate">{url}</li>)}
+            </ol>
+
+            <h4 className="font-medium text-gray-800 mb-2">Steps</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {selected.steps.map((step, index) => (
+                <div key={index} className="border rounded-md p-2 text-xs">
+                  <div className="flex justify-between items-center mb-1">
+                    <span className="font-medium text-gray-800">{index + 1}. {step.name}</span>
+                    <span className="text-gray-400">{new Date(step.at).toLocaleTimeString()}</span>
+                  </div>
+                  <p className="text-gray-500 truncate mb-1" title={step.url}>{step.url}</p>
+                  {step.error && <p className="text-red-600 mb-1">Capture failed: {step.error}</p>}
+                  {step.screenshot && (
+                    <a href={fileUrl(selected.id, step.screenshot)} target="_blank" rel="noreferrer">
+                      <img src={fileUrl(selected.id, step.screenshot)} alt={step.name} className="w-full max-h-64 object-cover object-top border" />
+                    </a>
+                  )}
+                  <div className="flex space-x-3 mt-1">
+                    {step.screenshot && (
+                      <a href={fileUrl(selected.id, step.screenshot, true)} className="text-blue-600 hover:underline flex items-center">
+                        <Download size={12} className="mr-1" /> Screenshot
+                      </a>
+                    )}
+                    {step.html && (
+                      <a href={fileUrl(selected.id, step.html)} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline flex items-center">
+                        <ExternalLink size={12} className="mr-1" /> HTML
+                      </a>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ArtifactsGallery;
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { List, ExternalLink, MousePointerClick } from 'lucide-react';
+import { OUTCOME_STYLES } from './outcomeStyles.js';
+
+// Live table of the jobs each session found on its latest cycle, with a button to apply to any of them
+function JobBoard({ sessions, apiFetch }) {
+  const [selectedId, setSelectedId] = useState('');
+  const [requesting, setRequesting] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const withJobs = Object.values(sessions).filter(session => session.jobs?.length > 0);
+  const session = withJobs.find(item => item.id === selectedId) || withJobs[0];
+
+  const requestApply = async (job) => {
+    setRequesting(job.id);
+    try {
+      const response = await apiFetch(`/sessions/${session.id}/apply`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jobId: job.id }),
+        signal: AbortSignal.timeout(5000)
+      });
+      const data = await response.json();
+      setMessage(response.ok ? `Queued ${job.title}, the monitor applies to it next` : `Error: ${data.message}`);
+    } catch (err) {
+      setMessage(`Error: could not request ${job.title} - ${err.message}`);
+    } finally {
+      setRequesting(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4">
+      <div className="flex justify-between items-center mb-4 border-b pb-2">
+        <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+          <List size={20} className="mr-2" /> Job Board
+        </h2>
+        {withJobs.length > 1 && (
+          <select
+            value={session.id}
+            onChange={(e) => setSelectedId(e.target.value)}
+            className="text-sm border border-gray-300 rounded-md p-1"
+          >
+            {withJobs.map(item => (
+              <option key={item.id} value={item.id}>{item.id} · {item.link}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {message && <p className={`text-sm mb-2 ${message.startsWith('Error') ? 'text-red-600' : 'text-blue-700'}`}>{message}</p>}
+
+      {!session ? (
+        <div className="text-gray-500 italic text-sm">No jobs scraped yet. They show up here after the first cycle.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <p className="text-xs text-gray-500 mb-2">
+            {session.jobs.length} job(s) on the latest cycle of session {session.id}, {session.jobs.filter(job => job.matched).length} matching
+          </p>
+          <table className="w-full text-sm text-left">
+            <thead className="text-xs text-gray-600 uppercase bg-gray-50">
+              <tr>
+                <th className="p-2">Title</th>
+                <th className="p-2">Pay</th>
+                <th className="p-2">Location</th>
+                <th className="p-2">Type</th>
+                <th className="p-2">Shifts</th>
+                <th className="p-2">Match</th>
+                <th className="p-2">Last outcome</th>
+                <th className="p-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {session.jobs.map(job => (
+                <tr key={job.id} className={`border-b ${job.matched ? 'bg-green-50' : ''}`}>
+                  <td className="p-2 font-medium text-gray-800">
+                    <span className="flex items-center">
+                      {job.title}
+                      {job.isNew && <span className="ml-2 text-xs px-1.5 rounded bg-blue-100 text-blue-800">new</span>}
+                      {job.link && (
+                        <a href={job.link} target="_blank" rel="noreferrer" className="ml-2 text-blue-600 hover:text-blue-800" title="Open job page">
+                          <ExternalLink size={12} />
+                        </a>
+                      )}
+                    </span>
+                  </td>
+                  <td className="p-2 text-gray-700">{job.payText || '-'}</td>
+                  <td className="p-2 text-gray-700">
+                    {job.location || '-'}
+                    {job.distance !== null && job.distance !== undefined && <span className="text-gray-500"> ({job.distance} mi)</span>}
+                  </td>
+                  <td className="p-2 text-gray-700">{job.jobType || '-'}</td>
+                  <td className="p-2 text-gray-700">{job.shiftCount ?? '-'}</td>
+                  <td className="p-2 text-gray-700">
+                    {job.matched ? <span className="text-green-700">{job.matchedRule} (priority {job.priority})</span> : '-'}
+                  </td>
+                  <td className="p-2">
+                    {job.lastOutcome ? (
+                      <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium ${OUTCOME_STYLES[job.lastOutcome] || 'bg-gray-100 text-gray-800'}`}>
+                        {job.lastOutcome}
+                      </span>
+                    ) : '-'}
+                  </td>
+                  <td className="p-2 text-right">
+                    <button
+                      onClick={() => requestApply(job)}
+                      disabled={job.applied || session.status !== 'running' || requesting === job.id}
+                      className="text-xs bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed text-white py-1 px-2 rounded flex items-center ml-auto"
+                      title={job.applied ? 'Already applied' : session.status !== 'running' ? `Session is ${session.status}` : 'Apply to this job on the next cycle'}
+                    >
+                      <MousePointerClick size={12} className="mr-1" /> Apply to this one
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default JobBoard;
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { Airplay, Lock, Loader } from 'lucide-react';
+
+// Exchange the dashboard password (or the API token) for a login token
+function Login({ apiUrl, onLogin }) {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${apiUrl}/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password }),
+        signal: AbortSignal.timeout(10000)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Login failed');
+      }
+      onLogin(data.token);
+    } catch (err) {
+      setError(err.message === 'Failed to fetch' ? 'Could not reach the server. Please ensure the backend is running.' : err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 w-full max-w-sm space-y-4">
+        <h1 className="text-2xl font-bold flex items-center text-blue-700">
+          <Airplay size={24} className="mr-2" />
+          Amazon Jobs Monitor
+        </h1>
+        <p className="text-sm text-gray-600">
+          Log in with the dashboard password, or the token printed in the backend console if no password is set.
+        </p>
+        <div className="relative">
+          <Lock size={16} className="absolute left-3 top-3 text-gray-400" />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password or token"
+            autoFocus
+            className={`w-full p-2 pl-9 border rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${error ? 'border-red-500' : 'border-gray-300'}`}
+          />
+        </div>
+        {error && <p className="text-red-500 text-sm">{error}</p>}
+        <button
+          type="submit"
+          disabled={isLoading || password.length === 0}
+          className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white font-bold py-2 px-4 rounded-md transition-colors flex items-center justify-center"
+        >
+          {isLoading ? <Loader className="animate-spin mr-2" size={16} /> : null} Log in
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default Login;
@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Bookmark, Save, Play, Trash2, Download, Upload, ClipboardPaste } from 'lucide-react';
+
+// Split pasted text into links and positions, one per line, links are anything starting with http
+const parsePasted = (text) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  return {
+    links: lines.filter(line => /^https?:\/\//i.test(line)),
+    positions: lines.filter(line => !/^https?:\/\//i.test(line))
+  };
+};
+
+// Save the form as a named preset on the server, load or start from one, and move presets
+// between dashboards as JSON files
+function Presets({ apiFetch, settings, onLoad, onStart, onPaste, disabled }) {
+  const [presets, setPresets] = useState([]);
+  const [selected, setSelected] = useState('');
+  const [name, setName] = useState('');
+  const [pasted, setPasted] = useState('');
+  const [showPaste, setShowPaste] = useState(false);
+  const [message, setMessage] = useState('');
+  const fileInput = useRef(null);
+
+  const preset = presets.find(item => item.name === selected);
+
+  // Run a request against /presets, showing the server's message when it fails
+  const request = useCallback(async (path, options = {}) => {
+    const response = await apiFetch(path, { signal: AbortSignal.timeout(5000), ...options });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data;
+  }, [apiFetch]);
+
+  const fetchPresets = useCallback(async () => {
+    try {
+      const data = await request('/presets');
+      setPresets(data.presets || []);
+    } catch (err) {
+      setMessage(`Error: could not load presets - ${err.message}`);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    fetchPresets();
+  }, [fetchPresets]);
+
+  const savePreset = async () => {
+    const presetName = name.trim() || selected;
+    if (!presetName) {
+      setMessage('Error: give the preset a name');
+      return;
+    }
+    try {
+      const data = await request(`/presets/${encodeURIComponent(presetName)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings)
+      });
+      setMessage(data.message);
+      setName('');
+      setSelected(data.preset.name);
+      await fetchPresets();
+    } catch (err) {
+      setMessage(`Error: ${err.message}`);
+    }
+  };
+
+  const deletePreset = async () => {
+    if (!preset || !window.confirm(`Delete preset "${preset.name}"?`)) return;
+    try {
+      const data = await request(`/presets/${encodeURIComponent(preset.name)}`, { method: 'DELETE' });
+      setMessage(data.message);
+      setSelected('');
+      await fetchPresets();
+    } catch (err) {
+      setMessage(`Error: ${err.message}`);
+    }
+  };
+
+  const exportPresets = () => {
+    const blob = new Blob([JSON.stringify({ presets }, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'job-monitor-presets.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importPresets = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const data = await request('/presets/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: await file.text()
+      });
+      setMessage(data.message);
+      setPresets(data.presets);
+    } catch (err) {
+      setMessage(`Error: could not import ${file.name} - ${err.message}`);
+    }
+  };
+
+  const addPasted = () => {
+    const parsed = parsePasted(pasted);
+    onPaste(parsed);
+    setMessage(`Added ${parsed.links.length} link(s) and ${parsed.positions.length} position(s)`);
+    setPasted('');
+    setShowPaste(false);
+  };
+
+  const buttonClass = 'text-xs bg-gray-200 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed text-gray-800 py-1 px-2 rounded flex items-center';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4">
+      <h2 className="text-xl font-semibold mb-4 text-gray-800 border-b pb-2 flex items-center">
+        <Bookmark size={20} className="mr-2" /> Presets
+      </h2>
+
+      <div className="flex space-x-2 mb-2">
+        <select
+          value={selected}
+          onChange={(e) => setSelected(e.target.value)}
+          className="flex-grow text-sm border border-gray-300 rounded-md p-1"
+        >
+          <option value="">{presets.length > 0 ? 'Choose a preset' : 'No presets saved yet'}</option>
+          {presets.map(item => (
+            <option key={item.name} value={item.name}>
+              {item.name} ({item.links.length} link(s), {item.positions.length} position(s))
+            </option>
+          ))}
+        </select>
+        <button onClick={() => onLoad(preset)} disabled={!preset || disabled} className={buttonClass} title="Fill the form from the preset">
+          Load
+        </button>
+        <button onClick={() => onStart(preset)} disabled={!preset || disabled} className={buttonClass} title="Load the preset and start monitoring">
+          <Play size={12} className="mr-1" /> Start
+        </button>
+        <button onClick={deletePreset} disabled={!preset} className={buttonClass} title="Delete preset">
+          <Trash2 size={12} />
+        </button>
+      </div>
+
+      <div className="flex space-x-2 mb-3">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={selected ? `Save as "${selected}" or a new name` : 'New preset name'}
+          className="flex-grow text-sm p-1 border border-gray-300 rounded-md"
+        />
+        <button onClick={savePreset} className={buttonClass} title="Save the current links, positions, profile and interval">
+          <Save size={12} className="mr-1" /> Save
+        </button>
+      </div>
+
+      <div className="flex space-x-2">
+        <button onClick={() => setShowPaste(!showPaste)} disabled={disabled} className={buttonClass}>
+          <ClipboardPaste size={12} className="mr-1" /> Bulk paste
+        </button>
+        <button onClick={exportPresets} disabled={presets.length === 0} className={buttonClass}>
+          <Download size={12} className="mr-1" /> Export
+        </button>
+        <button onClick={() => fileInput.current?.click()} className={buttonClass}>
+          <Upload size={12} className="mr-1" /> Import
+        </button>
+        <input ref={fileInput} type="file" accept="application/json,.json" onChange={importPresets} className="hidden" />
+      </div>
+
+      {showPaste && (
+        <div className="mt-3">
+          <textarea
+            value={pasted}
+            onChange={(e) => setPasted(e.target.value)}
+            rows={5}
+            placeholder={'One per line, links start with https://\nhttps://hiring.amazon.com/...\nWarehouse Associate'}
+            className="w-full text-sm p-2 border border-gray-300 rounded-md"
+          />
+          <button onClick={addPasted} disabled={!pasted.trim()} className={buttonClass}>
+            Add to links and positions
+          </button>
+        </div>
+      )}
+
+      {message && <p className={`text-sm mt-2 ${message.startsWith('Error') ? 'text-red-600' : 'text-blue-700'}`}>{message}</p>}
+    </div>
+  );
+}
+
+export default Presets;
@@ -0,0 +1,7 @@
+// Badge colours for apply outcomes, shared by the job board and the apply attempts gallery
+export const OUTCOME_STYLES = {
+  applied: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  skipped: 'bg-yellow-100 text-yellow-800',
+  observed: 'bg-blue-100 text-blue-800'
+};